@@ -1,4 +1,9 @@
 class ActionBase {
+    // Shown by --help; args declares the mode's own options for the CLI, e.g.
+    // { bucket: { type: 'string', required: true, description: 'Bucket to search' } }
+    static description = '';
+    static args = {};
+
     async run(config) {
     }
 
@@ -0,0 +1,149 @@
+import fs from "fs/promises";
+import dayjs from 'dayjs';
+import utility from "./utility.mjs";
+import ActionBase from "./action-base.mjs";
+import { hashConfig, readDeletionPlan, verifyDeletionPlan } from "./deletion-plan.mjs";
+import { quarantineS3Objects } from "./quarantine.mjs";
+import { acquirePruneLock, keepPruneLock, releasePruneLock } from "./prune-lock.mjs";
+
+class ApplyPlan extends ActionBase {
+
+    static description = 'Execute a deletion plan written by an earlier prune run with plan.write';
+    static args = {
+        plan: { type: 'string', required: true, description: 'Deletion plan file' }
+    };
+
+    constructor({ plan, logger = console }) {
+        super();
+        this.logger = logger;
+        this.planFile = plan;
+        this.plan = null;
+        this.applied = false;
+    }
+
+    // Skip anything that changed since the plan was made - it may be a new backup under an old key
+    checkUnchanged(planned, current) {
+        if (!current) return 'missing';
+        if (planned.etag && current.ETag !== planned.etag) return 'ETag changed';
+        if (planned.lastModified &&
+            new Date(current.LastModified).getTime() !== new Date(planned.lastModified).getTime()) {
+            return 'LastModified changed';
+        }
+        return null;
+    }
+
+    async applyBucket(s3Client, bucketName, bucketPlan, { dryRun, bypassGovernanceRetention, quarantine, renewLock = async () => {} }) {
+        const outcomes = [];
+        const listing = await utility.listS3Objects(s3Client, bucketName, bucketPlan.prefix);
+        const currentByKey = new Map(listing.map(obj => [obj.Key, obj]));
+        const toDelete = [];
+
+        for (const planned of bucketPlan.objects) {
+            const reason = this.checkUnchanged(planned, currentByKey.get(planned.key));
+            if (reason) {
+                outcomes.push({ bucket: bucketName, key: planned.key, outcome: 'skipped', reason });
+            } else {
+                toDelete.push(planned);
+            }
+        }
+
+        const quarantining = !!quarantine?.enabled;
+        if (dryRun) {
+            const outcome = quarantining ? 'wouldQuarantine' : 'wouldDelete';
+            outcomes.push(...toDelete.map(({ key }) => ({ bucket: bucketName, key, outcome })));
+            return outcomes;
+        }
+
+        // The listing of a large bucket can take a while, make sure the lock is still ours
+        await renewLock();
+        const deletionResult = quarantining
+            ? await quarantineS3Objects(s3Client, bucketName, toDelete, quarantine, { bypassGovernanceRetention })
+            : await utility.deleteS3Objects(s3Client, bucketName, toDelete.map(({ key }) => key), { bypassGovernanceRetention });
+        const outcome = quarantining ? 'quarantined' : 'deleted';
+        outcomes.push(...deletionResult.successful.map(key => ({ bucket: bucketName, key, outcome })));
+        outcomes.push(...deletionResult.failed.map(({ key, error }) => ({ bucket: bucketName, key, outcome: 'failed', reason: error })));
+        return outcomes;
+    }
+
+    async run(config) {
+        if (!this.planFile) {
+            throw new Error('Missing plan=<file> argument');
+        }
+        this.plan = this.plan || await readDeletionPlan(this.planFile);
+
+        // With several config entries only the one the plan was made from applies it
+        if (this.plan.configHash !== hashConfig(config)) {
+            this.logger.info(`Plan ${this.planFile} was not made from config ${config.aws.endpoint} - ${config.buckets.join(',')}, skipping`);
+            return null;
+        }
+
+        const problems = verifyDeletionPlan(this.plan, config);
+        if (problems.length > 0) {
+            throw new Error(`Refusing to apply plan ${this.planFile}: ${problems.join('; ')}`);
+        }
+        this.applied = true;
+
+        if (config.dryRun) {
+            this.logger.info('DRY RUN MODE - No deletions will be performed');
+        }
+
+        const s3Client = utility.createS3Client(config);
+        const outcomes = [];
+        try {
+            for (const [bucketName, bucketPlan] of Object.entries(this.plan.buckets)) {
+                // Same bucket lock as a prune run, so the two never work on a bucket at once
+                let pruneLock = null;
+                let lockKeeper = null;
+                if (config.lock?.enabled) {
+                    const { acquired, lock, etag, holder } = await acquirePruneLock(s3Client, bucketName, config.lock);
+                    if (!acquired) {
+                        const reason = `bucket locked by ${holder?.owner} until ${holder?.expiresAt}`;
+                        this.logger.warn(`Skipping ${bucketName}: ${reason}`);
+                        outcomes.push(...bucketPlan.objects.map(({ key }) => ({ bucket: bucketName, key, outcome: 'skipped', reason })));
+                        continue;
+                    }
+                    pruneLock = lock;
+                    lockKeeper = keepPruneLock(s3Client, lock, etag, config.lock);
+                }
+
+                try {
+                    this.logger.info(`Applying plan to ${bucketName}: ${bucketPlan.objects.length} keys`);
+                    outcomes.push(...await this.applyBucket(s3Client, bucketName, bucketPlan, {
+                        dryRun: config.dryRun,
+                        bypassGovernanceRetention: config.objectLock?.bypassGovernanceRetention,
+                        quarantine: config.quarantine,
+                        renewLock: async () => lockKeeper?.renew()
+                    }));
+                } finally {
+                    await lockKeeper?.stop();
+                    if (pruneLock) await releasePruneLock(s3Client, pruneLock);
+                }
+            }
+        } finally {
+            await s3Client.destroy();
+        }
+
+        const counts = outcomes.reduce((acc, { outcome }) => {
+            acc[outcome] = (acc[outcome] || 0) + 1;
+            return acc;
+        }, {});
+        const resultFile = `${this.planFile.replace(/\.json$/, '')}.result-${dayjs().format('YYYYMMDD-HHmmss')}.json`;
+        await fs.writeFile(resultFile, JSON.stringify({
+            plan: this.planFile,
+            appliedAt: new Date().toISOString(),
+            dryRun: !!config.dryRun,
+            counts,
+            outcomes
+        }, null, 2), 'utf8');
+        this.logger.info('Plan outcome:', counts, `- written to ${resultFile}`);
+        return { counts, resultFile };
+    }
+
+    async cleanup() {
+        if (this.plan && !this.applied) {
+            throw new Error(`No config entry matches plan ${this.planFile}`);
+        }
+    }
+}
+
+export default ApplyPlan;
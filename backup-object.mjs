@@ -1,40 +1,82 @@
 import dayjs from 'dayjs';
+import isoWeek from 'dayjs/plugin/isoWeek.js';
+import weekOfYear from 'dayjs/plugin/weekOfYear.js';
+import { defaultNamingScheme } from './naming-schemes.mjs';
+
+dayjs.extend(isoWeek);
+dayjs.extend(weekOfYear);
+
+// Veeam-style incrementals chain the same way as transaction logs
+const logTypes = new Set(['log', 'trn', 'tlog', 'incremental']);
+
+// Calendar period a timestamp falls in. Weeks are ISO weeks unless weekStart is a
+// day number (0 = Sunday), in which case the key is the date the week starts on.
+function getPeriodKey(datetime, period, weekStart = 'iso') {
+    switch (period) {
+        case 'year':
+            return datetime.format('YYYY');
+        case 'month':
+            return datetime.format('YYYY-MM');
+        case 'day':
+            return datetime.format('YYYY-MM-DD');
+        case 'week':
+            if (weekStart === 'iso') {
+                return `${datetime.isoWeekYear()}-W${String(datetime.isoWeek()).padStart(2, '0')}`;
+            }
+            return datetime
+                .subtract((datetime.day() - weekStart + 7) % 7, 'day')
+                .format('YYYY-MM-DD');
+        default:
+            throw new Error(`Unknown retention period: ${period}`);
+    }
+}
 
 class BackupObject {
-    constructor(key, bucketName) {
-        const parts = key.split('/');
-        const filename = parts[1] || parts[0];
-        const matches = filename.match(/(.+)_(\d{8})_(\d{6})-(\w+)(?:-(\d+))?\..*$/);
+    constructor(key, bucketName, namingScheme = defaultNamingScheme, metadata = {}) {
+        const matches = namingScheme.parse(key);
 
         if (!matches) throw new Error(`Invalid backup name format: ${key}`);
+        if (!matches.type) throw new Error(`Missing backup type in backup name: ${key}`);
 
         this.key = key;
         this.bucketName = bucketName;
-        this.objectName = matches[1];        // e.g., "AnalysisCompanyMaster"
-        const dateTimeStr = `${matches[2]}${matches[3]}`;
-        this.datetime = dayjs(dateTimeStr, 'YYYYMMDDHHMMSS');
+        this.objectName = matches.objectName;        // e.g., "AnalysisCompanyMaster"
+        this.datetime = matches.datetime;
         if (!this.datetime.isValid()) {
-            throw new Error(`Invalid date/time in backup name: ${dateTimeStr}`);
+            throw new Error(`Invalid date/time in backup name: ${matches.dateTimeStr}`);
         }
-        this.date = matches[2];
-        this.time = matches[3];
-        this.type = parts[0].split("-")[1].toLowerCase();
-        this.part = matches[5] || '1';       // If no part number, assume it's single file
+        this.date = this.datetime.format('YYYYMMDD');
+        this.time = this.datetime.format('HHmmss');
+        this.type = matches.type;
+        this.part = matches.part || '1';       // If no part number, assume it's single file
         this.backupId = `${this.objectName}_${this.date}_${this.time}`; // Unique identifier for this backup
         this.year = this.datetime.year();
         this.month = this.datetime.month() + 1; // dayjs months are 0-based
         this.week = this.datetime.week();
         this.isFullBackup = this.type === 'full';
+        this.isLogBackup = logTypes.has(this.type);
+        this.isDifferentialBackup = !this.isFullBackup && !this.isLogBackup;
+        // Listing metadata, when the backup came from an S3 listing
+        this.size = metadata.Size;
+        this.lastModified = metadata.LastModified;
+        this.storageClass = metadata.StorageClass;
+        this.etag = metadata.ETag;
     }
 
     // Helper method to get formatted date strings
     getMonthKey() {
-        return this.datetime.format('YYYY-MM');
+        return getPeriodKey(this.datetime, 'month');
+    }
+
+    getWeekKey(weekStart = 'iso') {
+        return getPeriodKey(this.datetime, 'week', weekStart);
     }
 
-    getWeekKey() {
-        return this.datetime.format('YYYY-[W]WW');
+    getPeriodKey(period, weekStart = 'iso') {
+        return getPeriodKey(this.datetime, period, weekStart);
     }
 }
 
-export default BackupObject;
\ No newline at end of file
+export { getPeriodKey };
+
+export default BackupObject;
@@ -0,0 +1,94 @@
+function groupBackupsByObject(backupObjects, getGroupKey = backup => backup.objectName) {
+    // First group by object name
+    const byObjectName = new Map();
+
+    backupObjects.forEach(backup => {
+        const groupKey = getGroupKey(backup);
+        if (!byObjectName.has(groupKey)) {
+            byObjectName.set(groupKey, []);
+        }
+        byObjectName.get(groupKey).push(backup);
+    });
+
+    // For each object name, group by backup ID (to keep parts together)
+    const result = new Map();
+
+    byObjectName.forEach((backups, objectName) => {
+        const backupGroups = new Map();
+
+        backups.forEach(backup => {
+            if (!backupGroups.has(backup.backupId)) {
+                backupGroups.set(backup.backupId, []);
+            }
+            backupGroups.get(backup.backupId).push(backup);
+        });
+
+        result.set(objectName, Array.from(backupGroups.values()));
+    });
+
+    return result;
+}
+
+function validateBackupSets(sortedBackupGroups, minSetSizeRatio = 0.5) {
+    // Compare every set with the sets of the same type taken before it
+    const issuesByBackupId = new Map();
+    const partCountByType = new Map();
+    const sizeByType = new Map();
+
+    sortedBackupGroups.forEach(backupGroup => {
+        const backup = backupGroup[0];
+        const issues = [];
+
+        const partNumbers = backupGroup
+            .map(part => parseInt(part.part, 10))
+            .sort((a, b) => a - b);
+        const uniqueParts = new Set(partNumbers);
+        if (uniqueParts.size !== partNumbers.length) {
+            issues.push('duplicate part numbers');
+        }
+
+        const missingParts = [];
+        for (let part = 1; part <= partNumbers[partNumbers.length - 1]; part++) {
+            if (!uniqueParts.has(part)) missingParts.push(part);
+        }
+        if (missingParts.length > 0) {
+            issues.push(`missing parts ${missingParts.join(',')}`);
+        }
+
+        const previousPartCount = partCountByType.get(backup.type);
+        if (previousPartCount && uniqueParts.size < previousPartCount) {
+            issues.push(`has ${uniqueParts.size} parts, previous set had ${previousPartCount}`);
+        }
+        // A contiguous set becomes the reference, so a deliberate stripe change only flags one set
+        if (missingParts.length === 0 && uniqueParts.size === partNumbers.length) {
+            partCountByType.set(backup.type, uniqueParts.size);
+        }
+
+        const emptyParts = backupGroup.filter(part => part.size === 0);
+        if (emptyParts.length > 0) {
+            issues.push(`zero-byte parts ${emptyParts.map(part => part.part).join(',')}`);
+        }
+
+        // Sizes are only comparable between fulls - differentials and logs vary too much
+        const hasSizes = backupGroup.every(part => typeof part.size === 'number');
+        const setSize = hasSizes ? backupGroup.reduce((total, part) => total + part.size, 0) : null;
+        const previousSize = sizeByType.get(backup.type);
+        if (backup.isFullBackup && hasSizes && previousSize &&
+            setSize < previousSize * minSetSizeRatio) {
+            issues.push(`size ${setSize} is below ${minSetSizeRatio} of previous set (${previousSize})`);
+        }
+
+        if (issues.length > 0) {
+            issuesByBackupId.set(backup.backupId, issues);
+        } else if (hasSizes) {
+            sizeByType.set(backup.type, setSize);
+        }
+    });
+
+    return issuesByBackupId;
+}
+
+export {
+    groupBackupsByObject,
+    validateBackupSets
+};
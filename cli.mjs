@@ -0,0 +1,246 @@
+import { configSchema, deepMerge } from "./config-schema.mjs";
+
+// Exit codes shared by every mode, so scripts can tell what happened
+const exitCodes = {
+    success: 0,
+    error: 1,
+    guardrailsTripped: 2,
+    bucketBusy: 3,
+    unhealthy: 4,
+    usage: 64,
+    config: 78
+};
+
+const globalOptions = {
+    mode: { type: 'string', description: 'Mode to run (also accepted as the first bare argument)', default: 'schedulePrune' },
+    config: { type: 'string', description: 'Only run config entries whose name, endpoint or bucket matches; a bucket also narrows the entry to that bucket' },
+    json: { type: 'boolean', description: 'Print a JSON document with the results on stdout; logs go to stderr' },
+    help: { type: 'boolean', description: 'Show help, for a mode when one is given' }
+};
+
+function usageError(message) {
+    const error = new Error(message);
+    error.exitCode = exitCodes.usage;
+    return error;
+}
+
+/**
+ * Split argv into the mode and named arguments. Accepts --key=value, --flag, --no-flag
+ * and the older key=value form; values are split on the first "=" only, so regexes and
+ * URLs survive intact.
+ */
+function parseCommandLine(argv) {
+    const args = {};
+    const positional = [];
+
+    for (const arg of argv) {
+        if (arg === '-h') {
+            args.help = 'true';
+            continue;
+        }
+
+        const dashed = arg.startsWith('--');
+        const body = dashed ? arg.slice(2) : arg;
+        const separator = body.indexOf('=');
+
+        if (separator > 0) {
+            args[body.slice(0, separator)] = body.slice(separator + 1);
+        } else if (!dashed) {
+            positional.push(arg);
+        } else if (body.startsWith('no-')) {
+            args[body.slice(3)] = 'false';
+        } else {
+            args[body] = 'true';
+        }
+    }
+
+    if (positional.length > 0 && !args.mode) {
+        args.mode = positional.shift();
+    }
+    if (positional.length > 0) {
+        throw usageError(`Unexpected argument: ${positional[0]}`);
+    }
+    return args;
+}
+
+function coerceValue(value, spec, name) {
+    const types = [].concat(spec.type || 'string');
+
+    if (value === 'null' && types.includes('null')) return null;
+    if (types.includes('boolean')) {
+        if (value === 'true') return true;
+        if (value === 'false') return false;
+    }
+    if (types.includes('integer') || types.includes('number')) {
+        const number = Number(value);
+        if (value !== '' && !Number.isNaN(number) &&
+            (types.includes('number') || Number.isInteger(number))) {
+            return number;
+        }
+    }
+    if (types.includes('array') || types.includes('object')) {
+        if (/^[[{]/.test(value)) {
+            try {
+                return JSON.parse(value);
+            } catch (error) {
+                throw usageError(`${name}: invalid JSON: ${error.message}`);
+            }
+        }
+        if (types.includes('array')) {
+            return value.split(',').map(item => item.trim()).filter(Boolean);
+        }
+    }
+    if (types.includes('regex')) {
+        try {
+            new RegExp(value);
+        } catch (error) {
+            throw usageError(`${name}: ${error.message}`);
+        }
+        return value;
+    }
+    if (types.includes('string')) return value;
+
+    throw usageError(`${name}: expected ${types.join(' or ')}, got ${JSON.stringify(value)}`);
+}
+
+function getConfigSchema(path) {
+    return path.split('.').reduce((schema, key) => {
+        if (!schema) return null;
+        return schema.properties?.[key] ||
+            (typeof schema.additionalProperties === 'object' ? schema.additionalProperties : null);
+    }, configSchema);
+}
+
+/**
+ * Sort named arguments into the mode's own options (typed per its static args) and
+ * config overrides (dotted config paths, typed per the config schema).
+ */
+function parseModeArgs(mode, ActionClass, args) {
+    const specs = ActionClass.args || {};
+    const aliases = new Map();
+    Object.entries(specs).forEach(([name, spec]) => {
+        aliases.set(name, name);
+        (spec.aliases || []).forEach(alias => aliases.set(alias, name));
+    });
+
+    const options = {};
+    const overrides = {};
+    Object.entries(args).forEach(([key, value]) => {
+        if (globalOptions[key]) return;
+
+        const name = aliases.get(key);
+        if (name) {
+            options[name] = coerceValue(value, specs[name], key);
+            return;
+        }
+
+        const schema = getConfigSchema(key);
+        if (!schema) {
+            throw usageError(`Unknown argument ${key} for mode ${mode}`);
+        }
+        overrides[key] = coerceValue(value, schema, key);
+    });
+
+    Object.entries(specs).forEach(([name, spec]) => {
+        if (options[name] === undefined && spec.default !== undefined) {
+            options[name] = spec.default;
+        }
+        if (options[name] === undefined && spec.required) {
+            throw usageError(`Missing required argument --${name}`);
+        }
+    });
+
+    return { options, overrides };
+}
+
+// { 'retention.weeklyBackups': 8 } becomes { retention: { weeklyBackups: 8 } } merged over the config
+function applyConfigOverrides(config, overrides) {
+    return Object.entries(overrides).reduce((result, [path, value]) => {
+        const override = path.split('.').reduceRight((nested, key) => ({ [key]: nested }), value);
+        return deepMerge(result, override);
+    }, config);
+}
+
+function describeConfig(config) {
+    return {
+        name: config.name,
+        endpoint: config.aws?.endpoint || null,
+        buckets: config.buckets
+    };
+}
+
+// Selecting by bucket narrows the matching entries to that bucket
+function selectConfigs(configs, selector) {
+    if (!selector) return configs;
+
+    const selected = configs
+        .filter(config => config.name === selector ||
+            config.aws?.endpoint === selector ||
+            (Array.isArray(config.buckets) && config.buckets.includes(selector)))
+        .map(config => config.name === selector || config.aws?.endpoint === selector
+            ? config
+            : { ...config, buckets: [selector] });
+
+    if (selected.length === 0) {
+        const available = configs
+            .map(config => config.name || `${config.aws?.endpoint || 'AWS'} - ${[].concat(config.buckets).join(',')}`);
+        throw usageError(`No config entry matches ${selector}. Available: ${available.join('; ')}`);
+    }
+    return selected;
+}
+
+function formatOption(name, spec) {
+    const type = [].concat(spec.type || 'string').join('|');
+    const details = [
+        spec.required ? 'required' : null,
+        spec.default !== undefined ? `default ${JSON.stringify(spec.default)}` : null,
+        spec.aliases?.length ? `alias ${spec.aliases.map(alias => `--${alias}`).join(', ')}` : null
+    ].filter(Boolean);
+    const label = `  --${name}${type === 'boolean' ? '' : `=<${type}>`}`;
+    return `${label.padEnd(32)} ${spec.description || ''}${details.length ? ` (${details.join(', ')})` : ''}`;
+}
+
+function formatHelp(modes) {
+    return [
+        'Usage: node index.mjs [mode] [--option=value ...] [--config.path=value ...]',
+        '',
+        'Modes:',
+        ...Object.entries(modes).map(([name, ActionClass]) => `  ${name.padEnd(20)} ${ActionClass.description || ''}`),
+        '',
+        'Options:',
+        ...Object.entries(globalOptions).map(([name, spec]) => formatOption(name, spec)),
+        '',
+        'Any config value can be overridden with its dotted path, e.g. --retention.weeklyBackups=8 --dryRun=false.',
+        'Run node index.mjs <mode> --help for the options of a mode.',
+        '',
+        'Exit codes:',
+        ...Object.entries(exitCodes).map(([name, code]) => `  ${String(code).padEnd(4)} ${name}`)
+    ].join('\n');
+}
+
+function formatModeHelp(name, ActionClass) {
+    const specs = Object.entries(ActionClass.args || {});
+    return [
+        `Usage: node index.mjs ${name}${specs.map(([arg, spec]) => spec.required ? ` --${arg}=<value>` : '').join('')} [options]`,
+        '',
+        ActionClass.description || '',
+        '',
+        'Options:',
+        ...(specs.length ? specs.map(([arg, spec]) => formatOption(arg, spec)) : ['  (none)']),
+        ...Object.entries(globalOptions)
+            .filter(([option]) => option !== 'mode')
+            .map(([option, spec]) => formatOption(option, spec))
+    ].join('\n');
+}
+
+export {
+    exitCodes,
+    usageError,
+    parseCommandLine,
+    parseModeArgs,
+    applyConfigOverrides,
+    describeConfig,
+    selectConfigs,
+    formatHelp,
+    formatModeHelp
+};
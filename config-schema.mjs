@@ -0,0 +1,489 @@
+import cron from 'node-cron';
+import { presets } from "./naming-schemes.mjs";
+
+const string = { type: 'string' };
+const nullableString = { type: ['string', 'null'] };
+const boolean = { type: 'boolean' };
+const count = { type: 'integer', minimum: 0 };
+const nullableCount = { type: ['integer', 'null'], minimum: 0 };
+const percent = { type: ['number', 'null'], minimum: 0, maximum: 100 };
+const timezone = { type: ['string', 'null'], format: 'timezone' };
+const regex = { type: 'string', format: 'regex' };
+const notifyWhen = { type: 'string', enum: ['always', 'changes', 'errors'] };
+const duration = { type: 'string', format: 'duration' };
+// "8d", or { warn: "7d", fail: "8d" }; null skips the check
+const ageThreshold = {
+    type: ['string', 'object', 'null'],
+    format: 'duration',
+    properties: { warn: duration, fail: duration }
+};
+const maxAge = { type: 'object', additionalProperties: ageThreshold };
+const storageClass = {
+    type: ['string', 'null'],
+    enum: [null, 'STANDARD', 'STANDARD_IA', 'ONEZONE_IA', 'INTELLIGENT_TIERING', 'GLACIER_IR', 'GLACIER', 'DEEP_ARCHIVE']
+};
+
+const retentionSchema = {
+    type: 'object',
+    properties: {
+        yearlyBackups: count,
+        monthlyBackups: count,
+        weeklyBackups: count,
+        dailyBackups: count,
+        periodPick: { type: 'string', enum: ['last', 'first'] },
+        weekStart: { type: ['string', 'integer'], enum: ['iso', 0, 1, 2, 3, 4, 5, 6] },
+        keepWithinDays: { type: 'number', minimum: 0 },
+        minAgeDays: { type: 'number', minimum: 0 },
+        differentialBackups: count,
+        logBackups: count,
+        fullBackups: count,
+        deleteOrphans: boolean,
+        // "quarantine" is the old name of "keep"; incomplete sets never go to the quarantine prefix
+        incompleteSetAction: { type: 'string', enum: ['keep', 'quarantine', 'delete'] },
+        minSetSizeRatio: { type: 'number', minimum: 0, maximum: 1 },
+        tiering: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['afterDays', 'storageClass'],
+                properties: {
+                    afterDays: { type: 'number', minimum: 0 },
+                    storageClass: { type: 'string', enum: ['STANDARD_IA', 'GLACIER_IR', 'DEEP_ARCHIVE'] }
+                }
+            }
+        }
+    }
+};
+
+const configSchema = {
+    type: 'object',
+    properties: {
+        name: string,
+        cron: { type: 'string', format: 'cron' },
+        aws: {
+            type: 'object',
+            properties: {
+                credentials: {
+                    type: 'object',
+                    properties: {
+                        accessKeyId: string,
+                        secretAccessKey: string,
+                        sessionToken: string
+                    }
+                },
+                profile: nullableString,
+                region: string,
+                endpoint: nullableString,
+                forcePathStyle: boolean,
+                useArnRegion: boolean
+            }
+        },
+        buckets: { type: 'array', items: string, minItems: 1 },
+        prefix: string,
+        listing: {
+            type: 'object',
+            properties: {
+                source: { type: 'string', enum: ['live', 'file', 'inventory'] },
+                file: string,
+                inventory: {
+                    type: 'object',
+                    properties: {
+                        manifest: nullableString,
+                        localRoot: nullableString
+                    }
+                }
+            }
+        },
+        namingSchemes: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    name: string,
+                    bucket: string,
+                    prefix: string,
+                    preset: { type: 'string', enum: Object.keys(presets) },
+                    pattern: regex,
+                    flags: string,
+                    dateFormat: string,
+                    timeFormat: string,
+                    type: string,
+                    types: { type: 'object', additionalProperties: string },
+                    timezone
+                }
+            }
+        },
+        timezone,
+        retentionRules: {
+            type: 'array',
+            // Summaries and reports name the governing rule, so names must not repeat
+            uniqueBy: 'name',
+            items: {
+                type: 'object',
+                properties: {
+                    name: string,
+                    bucket: string,
+                    prefix: string,
+                    objectName: string,
+                    objectNamePattern: regex,
+                    flags: string,
+                    retention: retentionSchema
+                }
+            }
+        },
+        retention: retentionSchema,
+        guardrails: {
+            type: 'object',
+            properties: {
+                maxDeleteCount: nullableCount,
+                maxDeletePercent: percent,
+                maxDeleteCountPerObject: nullableCount,
+                maxDeletePercentPerObject: percent,
+                maxListingDropPercent: percent,
+                requireVerifiedFull: boolean
+            }
+        },
+        versioning: {
+            type: 'object',
+            properties: {
+                enabled: boolean,
+                noncurrentGraceDays: { type: 'number', minimum: 0 },
+                removeOrphanDeleteMarkers: boolean
+            }
+        },
+        objectLock: {
+            type: 'object',
+            properties: {
+                enabled: boolean,
+                bypassGovernanceRetention: boolean,
+                requeue: boolean
+            }
+        },
+        plan: {
+            type: 'object',
+            properties: {
+                write: boolean,
+                maxAgeHours: { type: 'number', minimum: 0 },
+                signingKey: nullableString
+            }
+        },
+        tiering: {
+            type: 'object',
+            properties: {
+                enabled: boolean,
+                pricesPerGbMonth: { type: 'object', additionalProperties: { type: 'number', minimum: 0 } }
+            }
+        },
+        lock: {
+            type: 'object',
+            properties: {
+                enabled: boolean,
+                key: string,
+                ttlMinutes: { type: 'number', minimum: 1 }
+            }
+        },
+        quarantine: {
+            type: 'object',
+            properties: {
+                enabled: boolean,
+                bucket: nullableString,
+                prefix: string,
+                storageClass,
+                purgeAfterDays: { type: 'number', minimum: 0 }
+            }
+        },
+        notifications: {
+            type: 'object',
+            properties: {
+                when: notifyWhen,
+                notifiers: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['type'],
+                        properties: {
+                            type: { type: 'string', enum: ['webhook', 'slack', 'teams', 'email'] },
+                            name: string,
+                            when: notifyWhen,
+                            url: string,
+                            headers: { type: 'object', additionalProperties: string },
+                            smtp: {
+                                type: 'object',
+                                properties: {
+                                    host: string,
+                                    port: { type: 'integer', minimum: 1, maximum: 65535 },
+                                    secure: boolean,
+                                    ignoreTLS: boolean,
+                                    auth: {
+                                        type: 'object',
+                                        properties: {
+                                            user: string,
+                                            pass: string
+                                        }
+                                    }
+                                }
+                            },
+                            from: string,
+                            to: { type: ['string', 'array'], items: string },
+                            subject: string
+                        }
+                    }
+                }
+            }
+        },
+        health: {
+            type: 'object',
+            properties: {
+                maxAge,
+                requireCompleteSets: boolean,
+                rules: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            name: string,
+                            bucket: string,
+                            prefix: string,
+                            objectName: string,
+                            objectNamePattern: regex,
+                            flags: string,
+                            maxAge,
+                            requireCompleteSets: boolean
+                        }
+                    }
+                }
+            }
+        },
+        verify: {
+            type: 'object',
+            properties: {
+                sampleSize: count,
+                concurrency: { type: 'integer', minimum: 1 },
+                readBodies: boolean,
+                sidecarExtensions: { type: 'array', items: string },
+                manifest: nullableString
+            }
+        },
+        usage: {
+            type: 'object',
+            properties: {
+                pricesPerGbMonth: { type: 'object', additionalProperties: { type: 'number', minimum: 0 } },
+                currency: string,
+                historySize: { type: 'integer', minimum: 1 }
+            }
+        },
+        metrics: {
+            type: 'object',
+            properties: {
+                enabled: boolean,
+                host: string,
+                port: { type: 'integer', minimum: 1, maximum: 65535 },
+                path: string
+            }
+        },
+        performance: {
+            type: 'object',
+            properties: {
+                bucketConcurrency: { type: 'integer', minimum: 1 },
+                deleteConcurrency: { type: 'integer', minimum: 1 },
+                maxRetries: count,
+                retryBaseDelayMs: count,
+                progressIntervalSeconds: { type: 'number', minimum: 0 }
+            }
+        },
+        dryRun: boolean,
+        deleteNonRetained: boolean
+    }
+};
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Objects merge key by key; arrays and scalars from the override replace the base
+function deepMerge(base, override) {
+    if (!isPlainObject(base) || !isPlainObject(override)) {
+        return override === undefined ? base : override;
+    }
+    const merged = { ...base };
+    Object.entries(override).forEach(([key, value]) => {
+        merged[key] = deepMerge(base[key], value);
+    });
+    return merged;
+}
+
+const envPattern = /\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g;
+
+/**
+ * Replace ${NAME} and ${NAME:-fallback} in every string of the config. Variables that
+ * are not set and have no fallback are left in place for validateConfig to report.
+ */
+function interpolateEnv(value, env = process.env) {
+    if (typeof value === 'string') {
+        return value.replace(envPattern, (placeholder, name, fallback) => env[name] ?? fallback ?? placeholder);
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => interpolateEnv(item, env));
+    }
+    if (isPlainObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, interpolateEnv(item, env)]));
+    }
+    return value;
+}
+
+function getType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = getType(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// Levenshtein distance, to point at the option a typo was meant to be
+function editDistance(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        let previous = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const current = row[j];
+            row[j] = Math.min(row[j] + 1, row[j - 1] + 1,
+                previous + (a[i - 1].toLowerCase() === b[j - 1].toLowerCase() ? 0 : 1));
+            previous = current;
+        }
+    }
+    return row[b.length];
+}
+
+function checkFormat(value, format) {
+    if (format === 'regex') {
+        try {
+            new RegExp(value);
+        } catch (error) {
+            return error.message;
+        }
+    }
+    if (format === 'timezone') {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: value });
+        } catch (error) {
+            return `unknown timezone ${value}`;
+        }
+    }
+    if (format === 'duration' && !/^\d+(\.\d+)?\s*[mhdw]$/.test(value.trim())) {
+        return `invalid duration ${value} (use e.g. 15m, 24h, 7d or 2w)`;
+    }
+    if (format === 'cron' && !cron.validate(value)) {
+        return `invalid cron expression ${value}`;
+    }
+    return null;
+}
+
+function validateValue(value, schema, path, errors) {
+    const placeholder = typeof value === 'string' && value.match(envPattern);
+    if (placeholder) {
+        errors.push(`${path}: environment variable in ${placeholder[0]} is not set`);
+        return;
+    }
+
+    const types = [].concat(schema.type || []);
+    if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+        errors.push(`${path}: expected ${types.join(' or ')}, got ${getType(value)}`);
+        return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path}: must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`);
+    }
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path}: must be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${path}: must be at most ${schema.maximum}`);
+        }
+    }
+    if (typeof value === 'string' && schema.format) {
+        const problem = checkFormat(value, schema.format);
+        if (problem) errors.push(`${path}: ${problem}`);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems && value.length < schema.minItems) {
+            errors.push(`${path}: must contain at least ${schema.minItems} item${schema.minItems > 1 ? 's' : ''}`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => validateValue(item, schema.items, `${path}[${index}]`, errors));
+        }
+        if (schema.uniqueBy) {
+            const seen = new Set();
+            value.forEach((item, index) => {
+                const id = isPlainObject(item) ? item[schema.uniqueBy] : undefined;
+                if (id === undefined) return;
+                if (seen.has(id)) errors.push(`${path}[${index}].${schema.uniqueBy}: duplicate ${JSON.stringify(id)}`);
+                seen.add(id);
+            });
+        }
+    }
+
+    if (isPlainObject(value)) {
+        const properties = schema.properties || {};
+        (schema.required || [])
+            .filter(key => value[key] === undefined)
+            .forEach(key => errors.push(`${path ? `${path}.` : ''}${key}: is required`));
+
+        Object.entries(value).forEach(([key, item]) => {
+            const itemPath = path ? `${path}.${key}` : key;
+            const itemSchema = properties[key] ||
+                (isPlainObject(schema.additionalProperties) ? schema.additionalProperties : null);
+            if (itemSchema) {
+                validateValue(item, itemSchema, itemPath, errors);
+                return;
+            }
+            const suggestion = Object.keys(properties)
+                .map(name => ({ name, distance: editDistance(key, name) }))
+                .filter(({ distance }) => distance <= 2)
+                .sort((a, b) => a.distance - b.distance)[0];
+            errors.push(`${itemPath}: unknown option${suggestion ? ` (did you mean ${suggestion.name}?)` : ''}`);
+        });
+    }
+}
+
+// Returns one "path: problem" line per error, empty when the config is valid
+function validateConfig(config, schema = configSchema) {
+    const errors = [];
+    validateValue(config, schema, '', errors);
+    // Without a key the plan checksum could be recomputed by anyone who edits the plan
+    if (config?.plan?.write && !config.plan.signingKey) {
+        errors.push('plan.signingKey: is required when plan.write is enabled');
+    }
+    return errors;
+}
+
+// Webhook URLs of Slack and Teams carry their credentials in the URL itself
+const secretKeys = /secret|password|token|signingKey|accessKeyId|^pass$|^url$|^authorization$/i;
+
+function redactConfig(value, key = '') {
+    if (typeof value === 'string' && value && secretKeys.test(key)) {
+        return '***';
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redactConfig(item));
+    }
+    if (isPlainObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([itemKey, item]) => [itemKey, redactConfig(item, itemKey)]));
+    }
+    return value;
+}
+
+export {
+    configSchema,
+    deepMerge,
+    interpolateEnv,
+    validateConfig,
+    redactConfig
+};
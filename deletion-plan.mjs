@@ -0,0 +1,114 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import dayjs from 'dayjs';
+
+// 2: records deleteNonRetained and the listing source
+const planVersion = 2;
+
+// Only the settings that decide what gets deleted - not credentials, schedule or run flags
+function hashConfig(config) {
+    const relevant = {
+        endpoint: config.aws?.endpoint ?? null,
+        region: config.aws?.region ?? null,
+        buckets: config.buckets,
+        prefix: config.prefix,
+        namingSchemes: config.namingSchemes,
+        timezone: config.timezone,
+        retentionRules: config.retentionRules,
+        retention: config.retention,
+        guardrails: config.guardrails
+    };
+    return crypto.createHash('sha256').update(JSON.stringify(relevant)).digest('hex');
+}
+
+// An HMAC, so a plan cannot be edited and re-hashed without the key. A plain hash would
+// only catch accidental edits, which is why plan.write and applyPlan both need plan.signingKey
+function computeChecksum(body, signingKey) {
+    return `hmac-sha256:${crypto.createHmac('sha256', signingKey).update(JSON.stringify(body)).digest('hex')}`;
+}
+
+function createDeletionPlan(config, results) {
+    const buckets = {};
+    for (const bucketName in results.byBucket) {
+        const result = results.byBucket[bucketName];
+        // Failed buckets and buckets stopped by a guardrail contribute nothing
+        if (!result.backupsToDelete || result.deletionAborted) continue;
+
+        buckets[bucketName] = {
+            prefix: config.prefix || '',
+            objects: result.backupsToDelete.map(backup => ({
+                key: backup.key,
+                etag: backup.etag ?? null,
+                size: backup.size ?? null,
+                lastModified: backup.lastModified ? new Date(backup.lastModified).toISOString() : null
+            }))
+        };
+    }
+
+    const body = {
+        version: planVersion,
+        createdAt: new Date().toISOString(),
+        configHash: hashConfig(config),
+        // Signed with the rest, so a plan from a report-only run cannot be passed off as a deleting one
+        deleteNonRetained: !!config.deleteNonRetained,
+        listingSource: config.listing?.source || 'live',
+        buckets
+    };
+
+    return { ...body, checksum: computeChecksum(body, config.plan?.signingKey) };
+}
+
+async function writeDeletionPlan(plan, { directory = 'output', name = 'deletion-plan' } = {}) {
+    await fs.mkdir(directory, { recursive: true });
+    const filename = `${directory}/${name}-${dayjs().format('YYYYMMDD-HHmmss')}.json`;
+    await fs.writeFile(filename, JSON.stringify(plan, null, 2), 'utf8');
+    return filename;
+}
+
+async function readDeletionPlan(filename) {
+    return JSON.parse(await fs.readFile(filename, 'utf8'));
+}
+
+/**
+ * Returns the reasons a plan must not be applied with this config; empty when it is safe to apply.
+ */
+function verifyDeletionPlan(plan, config) {
+    const problems = [];
+    const { checksum, ...body } = plan;
+    const { maxAgeHours = 24, signingKey } = config.plan || {};
+
+    if (plan.version !== planVersion) {
+        problems.push(`unsupported plan version ${plan.version}`);
+    }
+    if (!signingKey) {
+        problems.push('plan.signingKey is not set - the plan signature cannot be checked');
+    } else if (checksum !== computeChecksum(body, signingKey)) {
+        problems.push('checksum mismatch - the plan was modified or signed with a different key');
+    }
+    if (!plan.deleteNonRetained) {
+        problems.push('the plan was written by a run with deleteNonRetained off');
+    }
+    if (!config.deleteNonRetained) {
+        problems.push('deleteNonRetained is off in this config');
+    }
+    if (plan.listingSource === 'file') {
+        problems.push('the plan was made from a replayed listing file, not the bucket');
+    }
+    if (plan.configHash !== hashConfig(config)) {
+        problems.push('config hash mismatch - the plan was made with a different retention config');
+    }
+    const ageHours = dayjs().diff(dayjs(plan.createdAt), 'hour', true);
+    if (!(ageHours <= maxAgeHours)) {
+        problems.push(`plan is stale: created ${plan.createdAt}, older than ${maxAgeHours}h`);
+    }
+
+    return problems;
+}
+
+export {
+    hashConfig,
+    createDeletionPlan,
+    writeDeletionPlan,
+    readDeletionPlan,
+    verifyDeletionPlan
+};
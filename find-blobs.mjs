@@ -1,20 +1,99 @@
 import utility from "./utility.mjs";
 import ActionBase from "./action-base.mjs";
+import BackupObject from "./backup-object.mjs";
+import { createNamingSchemeResolver, parsePointInTime } from "./naming-schemes.mjs";
+import { getSidecarExtensions } from "./listing-filter.mjs";
+import { createSidecarResolver } from "./verification.mjs";
+import { usageError } from "./cli.mjs";
 import fs from "fs/promises";
+import { dirname } from "path";
+import ObjectsToCsv from "objects-to-csv";
 import {
     ListObjectsV2Command
 } from "@aws-sdk/client-s3";
 
+const formats = ['txt', 'json', 'csv', 'table'];
+const sortFields = ['key', 'objectName', 'type', 'datetime', 'part', 'size', 'lastModified', 'storageClass'];
+// Filters and sort fields that need the key to parse as a backup
+const backupFields = ['objectName', 'type', 'datetime', 'part'];
+const tableColumns = ['key', 'objectName', 'type', 'datetime', 'part', 'size', 'lastModified', 'storageClass'];
+
+// An end of range given as a month or a day covers the whole month or day
+function parseRangeEnd(value, timezone) {
+    const datetime = parsePointInTime(value, timezone);
+    if (/^\d{4}-\d{2}$/.test(value)) return datetime.endOf('month');
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return datetime.endOf('day');
+    return datetime;
+}
+
+function compareValues(a, b) {
+    // Keys that did not parse sort last either way
+    if (a === null || a === undefined) return b === null || b === undefined ? 0 : 1;
+    if (b === null || b === undefined) return -1;
+    return typeof a === 'number' ? a - b : String(a).localeCompare(String(b));
+}
+
 class FindBlobs extends ActionBase {
 
-    constructor({ bucket, searchPattern, prefix = "", logger = console }) {
+    static description = 'Find keys by regex, backup fields and listing metadata and write them as a key list, JSON, CSV or a table';
+    static args = {
+        bucket: { type: 'string', description: 'Only search this configured bucket' },
+        pattern: { type: 'regex', aliases: ['searchPattern'], description: 'Regex the keys must match' },
+        prefix: { type: 'string', description: 'Only list keys under this prefix', default: '' },
+        object: { type: 'array', description: 'Only backups of these databases (comma-separated)' },
+        type: { type: 'array', description: 'Only these backup types, e.g. full,diff' },
+        from: { type: 'string', description: 'Only backups taken at or after this date/time, read in the config timezone' },
+        to: { type: 'string', description: 'Only backups taken at or before this date/time; a day or month (2025-03) is included whole' },
+        part: { type: 'integer', description: 'Only this part of multi-part backups' },
+        minSize: { type: ['integer', 'string'], description: 'Only objects of at least this size, in bytes or e.g. 500MB' },
+        maxSize: { type: ['integer', 'string'], description: 'Only objects of at most this size, in bytes or e.g. 2GiB' },
+        modifiedAfter: { type: 'string', description: 'Only objects last modified at or after this date/time' },
+        modifiedBefore: { type: 'string', description: 'Only objects last modified at or before this date/time' },
+        storageClass: { type: 'array', description: 'Only objects in these storage classes, e.g. STANDARD,GLACIER' },
+        latest: { type: 'boolean', description: 'Only the newest matching backup of every database, with all its parts', default: false },
+        sort: { type: 'string', description: `Sort by ${sortFields.join(', ')}; prefix with - for descending`, default: 'key' },
+        limit: { type: 'integer', description: 'Keep at most this many results per bucket' },
+        format: { type: 'string', description: 'txt (keys only), json, csv or table', default: 'txt' },
+        output: { type: 'string', description: 'Output file (default output/<bucket>-<endpoint host>-blobs.<format>)' }
+    };
+
+    constructor({ bucket, pattern, searchPattern = pattern, prefix = "", object, type, from, to, part, minSize, maxSize,
+        modifiedAfter, modifiedBefore, storageClass, latest = false, sort = 'key', limit, format = 'txt', output, logger = console }) {
         super();
+        if (!formats.includes(format)) throw usageError(`format: expected one of ${formats.join(', ')}, got ${format}`);
+        if (!sortFields.includes(sort.replace(/^-/, ''))) throw usageError(`sort: expected one of ${sortFields.join(', ')}, got ${sort}`);
+        if (limit !== undefined && limit < 1) throw usageError('limit: must be at least 1');
+
         this.logger = logger;
         this.bucket = bucket;
         this.searchPattern = (typeof searchPattern === 'string' && searchPattern) ? new RegExp(searchPattern) : searchPattern;
         this.prefix = prefix;
+        this.objectNames = object ? new Set(object) : null;
+        this.types = type ? new Set(type.map(value => value.toLowerCase())) : null;
+        this.from = from;
+        this.to = to;
+        this.part = part;
+        try {
+            this.minSize = minSize === undefined ? null : utility.parseSize(minSize);
+            this.maxSize = maxSize === undefined ? null : utility.parseSize(maxSize);
+        } catch (error) {
+            throw usageError(error.message);
+        }
+        this.modifiedAfter = modifiedAfter;
+        this.modifiedBefore = modifiedBefore;
+        this.storageClasses = storageClass ? new Set(storageClass.map(value => value.toUpperCase())) : null;
+        this.latest = latest;
+        this.sortField = sort.replace(/^-/, '');
+        this.sortDescending = sort.startsWith('-');
+        this.limit = limit;
+        this.format = format;
+        this.output = output;
+        // Keys that are not backups only drop out when a backup field is asked for
+        this.needsBackup = !!(this.objectNames || this.types || from || to || part !== undefined || latest ||
+            backupFields.includes(this.sortField));
     }
 
+    // Returns the listing entries (Key, Size, LastModified, ...) of the matching keys
     async findBlobs(client, bucket, searchPattern, prefix = '') {
         const results = [];
         let continuationToken = undefined;
@@ -28,15 +107,9 @@ class FindBlobs extends ActionBase {
 
             const response = await client.send(command);
 
-            if (searchPattern) {
-                for (const object of response.Contents || []) {
-                    if (searchPattern.test(object.Key)) {
-                        results.push(object.Key);
-                    }
-                }
-            } else {
-                for (const object of response.Contents || []) {
-                    results.push(object.Key);
+            for (const object of response.Contents || []) {
+                if (!searchPattern || searchPattern.test(object.Key)) {
+                    results.push(object);
                 }
             }
 
@@ -46,20 +119,145 @@ class FindBlobs extends ActionBase {
         return results;
     }
 
+    toRow(bucket, object, backup) {
+        return {
+            bucket,
+            key: object.Key,
+            objectName: backup?.objectName ?? null,
+            type: backup?.type ?? null,
+            datetime: backup?.datetime.format() ?? null,
+            part: backup ? Number(backup.part) : null,
+            backupId: backup?.backupId ?? null,
+            size: object.Size ?? null,
+            lastModified: object.LastModified ? new Date(object.LastModified).toISOString() : null,
+            // Listings leave the storage class out for some S3-compatible stores
+            storageClass: object.StorageClass || 'STANDARD',
+            etag: object.ETag ? object.ETag.replace(/"/g, '') : null
+        };
+    }
+
+    // Apply the backup and metadata filters, then latest, sort and limit
+    selectBlobs(objects, bucket, config) {
+        const resolveNamingScheme = createNamingSchemeResolver(config.namingSchemes, config.timezone);
+        const resolveSidecar = createSidecarResolver(new Set(objects.map(object => object.Key)), getSidecarExtensions(config));
+        const from = this.from ? parsePointInTime(this.from, config.timezone) : null;
+        const to = this.to ? parseRangeEnd(this.to, config.timezone) : null;
+        const modifiedAfter = this.modifiedAfter ? parsePointInTime(this.modifiedAfter, config.timezone) : null;
+        const modifiedBefore = this.modifiedBefore ? parseRangeEnd(this.modifiedBefore, config.timezone) : null;
+
+        const matches = [];
+        for (const object of objects) {
+            if (this.minSize !== null && !(object.Size >= this.minSize)) continue;
+            if (this.maxSize !== null && !(object.Size <= this.maxSize)) continue;
+            if (this.storageClasses && !this.storageClasses.has(object.StorageClass || 'STANDARD')) continue;
+            const lastModified = object.LastModified ? new Date(object.LastModified).getTime() : null;
+            if (modifiedAfter && !(lastModified >= modifiedAfter.valueOf())) continue;
+            if (modifiedBefore && !(lastModified <= modifiedBefore.valueOf())) continue;
+
+            // A checksum sidecar would parse as another part of its backup
+            let backup = null;
+            try {
+                if (!resolveSidecar(object.Key)) {
+                    backup = new BackupObject(object.Key, bucket, resolveNamingScheme(bucket, object.Key), object);
+                }
+            } catch (error) {
+                // Not a backup
+            }
+            if (!backup && this.needsBackup) continue;
+            if (backup) {
+                if (this.objectNames && !this.objectNames.has(backup.objectName)) continue;
+                if (this.types && !this.types.has(backup.type.toLowerCase())) continue;
+                if (from && backup.datetime.isBefore(from)) continue;
+                if (to && backup.datetime.isAfter(to)) continue;
+                if (this.part !== undefined && Number(backup.part) !== this.part) continue;
+            }
+            matches.push({ object, backup });
+        }
+
+        let selected = matches;
+        if (this.latest) {
+            const latestByObject = new Map();
+            matches.forEach(({ backup }) => {
+                const current = latestByObject.get(backup.objectName);
+                if (!current || backup.datetime.isAfter(current.datetime)) latestByObject.set(backup.objectName, backup);
+            });
+            const latestIds = new Set([...latestByObject.values()].map(backup => backup.backupId));
+            selected = matches.filter(({ backup }) => latestIds.has(backup.backupId));
+        }
+
+        const rows = selected.map(({ object, backup }) => this.toRow(bucket, object, backup));
+        const direction = this.sortDescending ? -1 : 1;
+        rows.sort((a, b) => {
+            const nullLast = a[this.sortField] === null || b[this.sortField] === null;
+            return (nullLast ? 1 : direction) * compareValues(a[this.sortField], b[this.sortField]) ||
+                compareValues(a.key, b.key);
+        });
+        return this.limit ? rows.slice(0, this.limit) : rows;
+    }
+
+    formatTable(rows) {
+        const cells = rows.map(row => ({ ...row, size: utility.formatSize(row.size), part: row.part ?? '' }));
+        const widths = tableColumns.map(column => Math.max(column.length, ...cells.map(cell => String(cell[column] ?? '').length)));
+        const formatRow = row => tableColumns.map((column, i) => String(row[column] ?? '').padEnd(widths[i])).join('  ').trimEnd();
+        return [
+            formatRow(Object.fromEntries(tableColumns.map(column => [column, column.toUpperCase()]))),
+            ...cells.map(formatRow)
+        ].join('\n');
+    }
+
+    async writeResults(listFile, rows) {
+        await fs.mkdir(dirname(listFile), { recursive: true });
+        if (this.format === 'json') {
+            await fs.writeFile(listFile, JSON.stringify(rows, null, 2), 'utf8');
+        } else if (this.format === 'csv') {
+            await new ObjectsToCsv(rows).toDisk(listFile);
+        } else {
+            await fs.writeFile(listFile, rows.map(row => row.key).join('\n'), 'utf8');
+        }
+    }
+
     async run(config) {
         const { searchPattern, prefix } = this;
+        const buckets = this.bucket ? config.buckets.filter(bucket => bucket === this.bucket) : config.buckets;
+        const endpoint = config.aws.endpoint || 'AWS';
+        if (buckets.length === 0) {
+            this.logger.info(`Bucket ${this.bucket} not found in ${endpoint}`);
+            return {};
+        }
+
+        // Without an endpoint the files are named after AWS itself
+        const host = config.aws.endpoint ? config.aws.endpoint.replace(/^\w+:\/\//, '').replace(/\/+$/, '').replace(/\//g, '_') : 'aws';
         const client = utility.createS3Client(config);
-        for (const bucket of config.buckets) {
-            this.logger.info(`Processing ${config.aws.endpoint} with bucket ${bucket}`);
-            const listFile = `output/${bucket}-${config.aws.endpoint.split("://")[1]}-blobs.txt`;
-            const results = await this.findBlobs(client, bucket, searchPattern, prefix);
-            await fs.writeFile(listFile, results.join('\n'), 'utf8');
-            this.logger.info(`Wrote ${results.length} blob keys to ${listFile}`);
+        const found = {};
+        try {
+            for (const bucket of buckets) {
+                this.logger.info(`Processing ${endpoint} with bucket ${bucket}`);
+                const objects = await this.findBlobs(client, bucket, searchPattern, prefix);
+                const rows = this.selectBlobs(objects, bucket, config);
+
+                if (this.format === 'table') {
+                    this.logger.info(rows.length > 0 ? this.formatTable(rows) : 'No matching keys');
+                    found[bucket] = { count: rows.length, file: null };
+                    continue;
+                }
+
+                const listFile = this.output && buckets.length === 1
+                    ? this.output
+                    : this.output
+                        ? this.output.replace(/(\.\w+)?$/, `-${bucket}$1`)
+                        : `output/${bucket}-${host}-blobs.${this.format}`;
+                await this.writeResults(listFile, rows);
+                this.logger.info(`Wrote ${rows.length} blob ${this.format === 'txt' ? 'keys' : 'entries'} to ${listFile}`);
+                found[bucket] = { count: rows.length, file: listFile };
+            }
+        } finally {
+            await client.destroy();
         }
+        return found;
     }
 
     async cleanup() {
     }
 }
 
-export default FindBlobs;
\ No newline at end of file
+export default FindBlobs;
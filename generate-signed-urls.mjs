@@ -0,0 +1,212 @@
+import fs from "fs/promises";
+import { readFileSync } from "fs";
+import { basename, dirname } from "path";
+import dayjs from 'dayjs';
+import ObjectsToCsv from "objects-to-csv";
+import {
+    GetObjectCommand,
+    PutObjectCommand,
+    HeadObjectCommand,
+    CreateMultipartUploadCommand,
+    UploadPartCommand,
+    CompleteMultipartUploadCommand,
+    AbortMultipartUploadCommand
+} from "@aws-sdk/client-s3";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+import ActionBase from "./action-base.mjs";
+import FindBlobs from "./find-blobs.mjs";
+import { usageError } from "./cli.mjs";
+import utility from "./utility.mjs";
+
+// SigV4 pre-signed URLs are valid for at most seven days
+const maxExpiresIn = 7 * 24 * 60 * 60;
+const maxUploadParts = 10000;
+const headConcurrency = 8;
+const manifestColumns = ['key', 'action', 'method', 'size', 'partNumber', 'uploadId', 'expiresAt', 'url', 'error'];
+
+// One key per line (blank lines and # comments skipped), or a JSON array of keys or { key } objects
+function readKeyFile(filename) {
+    const text = readFileSync(filename, 'utf8');
+    if (text.trimStart().startsWith('[')) {
+        return JSON.parse(text).map(item => typeof item === 'string' ? item : item.key || item.Key);
+    }
+    return text.split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'));
+}
+
+// "attachment" and "inline" name the download after the key's file name; anything else is used as-is
+function getContentDisposition(disposition, key) {
+    if (!disposition) return undefined;
+    if (disposition !== 'attachment' && disposition !== 'inline') return disposition;
+    const filename = basename(key);
+    return `${disposition}; filename="${filename.replace(/["\\]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
+class GenerateSignedUrls extends ActionBase {
+    static description = 'Create pre-signed download or upload URLs for one key or a batch and write them to a manifest';
+    static args = {
+        bucket: { type: 'string', required: true, description: 'Configured bucket holding the objects' },
+        blob: { type: 'string', description: 'Key of a single object' },
+        pattern: { type: 'regex', description: 'Sign every key matching this regex, as findBlobs finds them' },
+        prefix: { type: 'string', default: '', description: 'Only list keys under this prefix' },
+        input: { type: 'string', description: 'File with the keys to sign, one per line or a JSON array' },
+        method: { type: 'string', default: 'get', description: 'get for download URLs, put for upload URLs' },
+        parts: { type: 'integer', description: 'With method=put, start a multipart upload per key and sign this many part URLs' },
+        disposition: { type: 'string', description: 'Content-Disposition of downloads: attachment or inline (named after the key), or a full header value' },
+        expiresIn: { type: 'integer', default: 24 * 60 * 60, description: 'Lifetime of the URLs in seconds, at most 7 days' },
+        format: { type: 'string', default: 'json', description: 'Manifest format: json or csv' },
+        output: { type: 'string', description: 'Manifest file (default output/signed-urls-<bucket>-<timestamp>.<format>)' },
+        anyBucket: { type: 'boolean', default: false, description: 'Sign for a bucket that is not in the config entry, with its credentials' }
+    };
+
+    constructor({ bucket, blob, pattern, prefix = '', input, method = 'get', parts, disposition, expiresIn = 24 * 60 * 60,
+        format = 'json', output, anyBucket = false, logger = console } = {}) {
+        super();
+        if (!['get', 'put'].includes(method)) throw usageError(`method: expected get or put, got ${method}`);
+        if (!['json', 'csv'].includes(format)) throw usageError(`format: expected json or csv, got ${format}`);
+        if (expiresIn < 1 || expiresIn > maxExpiresIn) throw usageError(`expiresIn: must be between 1 and ${maxExpiresIn} seconds`);
+        if (parts !== undefined && (method !== 'put' || parts < 1 || parts > maxUploadParts)) {
+            throw usageError(`parts: needs method=put and a value between 1 and ${maxUploadParts}`);
+        }
+        if (!blob && !pattern && !prefix && !input) throw usageError('Give --blob, --pattern, --prefix or --input');
+        // Upload keys do not exist yet, so they cannot come from a listing
+        if (method === 'put' && !blob && !input) throw usageError('Upload URLs need --blob or --input');
+
+        this.logger = logger;
+        this.bucket = bucket;
+        this.blob = blob;
+        this.pattern = pattern ? new RegExp(pattern) : null;
+        this.prefix = prefix;
+        this.input = input;
+        this.method = method;
+        this.parts = parts;
+        this.disposition = disposition;
+        this.expiresIn = expiresIn;
+        this.format = format;
+        this.output = output;
+        this.anyBucket = anyBucket;
+    }
+
+    // Listed objects come with their size; keys given by name are checked with HeadObject
+    async resolveObjects(s3Client) {
+        if (this.pattern || (!this.blob && !this.input)) {
+            return new FindBlobs({ logger: this.logger }).findBlobs(s3Client, this.bucket, this.pattern, this.prefix);
+        }
+
+        const keys = this.blob ? [this.blob] : readKeyFile(this.input);
+        if (this.method === 'put') {
+            return keys.map(key => ({ Key: key }));
+        }
+        return utility.mapWithConcurrency(keys, headConcurrency, async key => {
+            try {
+                const head = await s3Client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: key }));
+                return { Key: key, Size: head.ContentLength };
+            } catch (error) {
+                return { Key: key, error: error.name === 'NotFound' ? 'not found' : error.message };
+            }
+        });
+    }
+
+    async signDownload(s3Client, object, expiresAt) {
+        const url = await getSignedUrl(s3Client, new GetObjectCommand({
+            Bucket: this.bucket,
+            Key: object.Key,
+            ResponseContentDisposition: getContentDisposition(this.disposition, object.Key)
+        }), { expiresIn: this.expiresIn });
+        return [{ key: object.Key, action: 'download', method: 'GET', size: object.Size, expiresAt, url }];
+    }
+
+    // The multipart upload is started here; the uploader PUTs each part, then POSTs the
+    // part list to the complete URL (or calls the abort URL to give up)
+    async signUpload(s3Client, object, expiresAt) {
+        const sign = command => getSignedUrl(s3Client, command, { expiresIn: this.expiresIn });
+        const params = { Bucket: this.bucket, Key: object.Key };
+        if (!this.parts) {
+            return [{ key: object.Key, action: 'upload', method: 'PUT', expiresAt, url: await sign(new PutObjectCommand(params)) }];
+        }
+
+        const { UploadId: uploadId } = await s3Client.send(new CreateMultipartUploadCommand(params));
+        const rows = [];
+        for (let partNumber = 1; partNumber <= this.parts; partNumber++) {
+            rows.push({
+                key: object.Key,
+                action: 'uploadPart',
+                method: 'PUT',
+                partNumber,
+                uploadId,
+                expiresAt,
+                url: await sign(new UploadPartCommand({ ...params, UploadId: uploadId, PartNumber: partNumber }))
+            });
+        }
+        rows.push(
+            { key: object.Key, action: 'completeUpload', method: 'POST', uploadId, expiresAt, url: await sign(new CompleteMultipartUploadCommand({ ...params, UploadId: uploadId })) },
+            { key: object.Key, action: 'abortUpload', method: 'DELETE', uploadId, expiresAt, url: await sign(new AbortMultipartUploadCommand({ ...params, UploadId: uploadId })) }
+        );
+        return rows;
+    }
+
+    async writeManifest(config, rows) {
+        const manifestFile = this.output ||
+            `output/signed-urls-${this.bucket}-${dayjs().format('YYYYMMDD-HHmmss')}.${this.format}`;
+        await fs.mkdir(dirname(manifestFile), { recursive: true });
+
+        if (this.format === 'csv') {
+            // Every row gets every column, so the header covers uploads and downloads alike
+            await new ObjectsToCsv(rows.map(row => Object.fromEntries(manifestColumns.map(column => [column, row[column] ?? '']))))
+                .toDisk(manifestFile);
+        } else {
+            await fs.writeFile(manifestFile, JSON.stringify({
+                bucket: this.bucket,
+                endpoint: config.aws?.endpoint || null,
+                createdAt: new Date().toISOString(),
+                expiresIn: this.expiresIn,
+                urls: rows
+            }, null, 2), 'utf8');
+        }
+        return manifestFile;
+    }
+
+    async run(config) {
+        if (!config.buckets.includes(this.bucket) && !this.anyBucket) {
+            this.logger.info(`Bucket ${this.bucket} not found in ${config.aws.endpoint || 'AWS'}; use --anyBucket to sign with this entry's credentials anyway`);
+            return null;
+        }
+
+        // Default SDK checksums would sign the CRC32 of an empty body into upload URLs
+        const s3Client = utility.createS3Client(config, {
+            requestChecksumCalculation: 'WHEN_REQUIRED',
+            responseChecksumValidation: 'WHEN_REQUIRED'
+        });
+        const rows = [];
+        try {
+            const objects = await this.resolveObjects(s3Client);
+            const expiresAt = dayjs().add(this.expiresIn, 'second').toISOString();
+            for (const object of objects) {
+                if (object.error) {
+                    this.logger.warn(`Skipping ${object.Key}: ${object.error}`);
+                    rows.push({ key: object.Key, action: 'download', method: 'GET', error: object.error });
+                    continue;
+                }
+                rows.push(...(this.method === 'put'
+                    ? await this.signUpload(s3Client, object, expiresAt)
+                    : await this.signDownload(s3Client, object, expiresAt)));
+            }
+        } finally {
+            await s3Client.destroy();
+        }
+
+        const manifestFile = await this.writeManifest(config, rows);
+        const failed = rows.filter(row => row.error).length;
+        this.logger.info(`Wrote ${rows.length - failed} signed URLs to ${manifestFile}${failed ? ` (${failed} keys skipped)` : ''}`);
+
+        // A single key keeps the old behaviour of printing its URL
+        if (this.blob && !this.parts && rows[0]?.url) {
+            this.logger.info(`Signed URL for ${this.method === 'put' ? 'upload' : 'download'}:`, rows[0].url);
+            return { bucket: this.bucket, blob: this.blob, expiresIn: this.expiresIn, url: rows[0].url, manifestFile };
+        }
+        return { bucket: this.bucket, count: rows.length - failed, failed, manifestFile };
+    }
+}
+
+export default GenerateSignedUrls;
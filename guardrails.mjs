@@ -0,0 +1,88 @@
+import { existsSync, readFileSync } from 'fs';
+
+function readPreviousListingCount(listFilename) {
+    if (!existsSync(listFilename)) return null;
+    try {
+        const previous = JSON.parse(readFileSync(listFilename, 'utf8'));
+        return Array.isArray(previous) ? previous.length : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function percent(part, total) {
+    return total > 0 ? (part / total) * 100 : 0;
+}
+
+function exceeds(value, limit) {
+    return typeof limit === 'number' && value > limit;
+}
+
+/**
+ * Check a bucket's retention result against the configured guardrails before anything is
+ * deleted. Returns one message per violation; any violation aborts the bucket's deletion phase.
+ */
+function checkDeletionGuardrails(result, { listedCount, previousListedCount, guardrails = {}, verifiedKeys = new Set() }) {
+    const {
+        maxDeleteCount = null,
+        maxDeletePercent = 50,
+        maxDeleteCountPerObject = null,
+        maxDeletePercentPerObject = null,
+        maxListingDropPercent = 20,
+        requireVerifiedFull = false
+    } = guardrails;
+    const violations = [];
+    const deleteCount = result.backupsToDelete.length;
+
+    // A listing much smaller than last time usually means a wrong prefix or a partial listing
+    if (typeof previousListedCount === 'number') {
+        const drop = percent(previousListedCount - listedCount, previousListedCount);
+        if (exceeds(drop, maxListingDropPercent)) {
+            violations.push(`listing dropped from ${previousListedCount} to ${listedCount} objects (${drop.toFixed(1)}% > ${maxListingDropPercent}%)`);
+        }
+    }
+
+    if (deleteCount === 0) return violations;
+
+    if (exceeds(deleteCount, maxDeleteCount)) {
+        violations.push(`${deleteCount} objects to delete exceeds maxDeleteCount ${maxDeleteCount}`);
+    }
+    const bucketPercent = percent(deleteCount, listedCount);
+    if (exceeds(bucketPercent, maxDeletePercent)) {
+        violations.push(`deleting ${bucketPercent.toFixed(1)}% of the bucket exceeds maxDeletePercent ${maxDeletePercent}%`);
+    }
+
+    const deletedBackupIds = new Set(result.backupsToDelete.map(backup => backup.backupId));
+
+    Object.entries(result.summary.byObject).forEach(([objectName, objectSummary]) => {
+        // Hard rule: the newest complete full of every database is never deleted
+        if (objectSummary.latestFull && deletedBackupIds.has(objectSummary.latestFull)) {
+            violations.push(`${objectName}: newest complete full ${objectSummary.latestFull} is marked for deletion`);
+        }
+
+        const objectDeleteCount = objectSummary.deleteCount;
+        if (objectDeleteCount === 0) return;
+
+        // Older backups only go once a full that stays has passed mode=verify
+        if (requireVerifiedFull && !objectSummary.retainedBackups
+            .some(backup => backup.type === 'full' && verifiedKeys.has(backup.key))) {
+            violations.push(`${objectName}: no retained full backup has been verified (requireVerifiedFull)`);
+        }
+
+        const objectTotal = objectSummary.retainedCount + objectSummary.quarantinedCount + objectDeleteCount;
+        if (exceeds(objectDeleteCount, maxDeleteCountPerObject)) {
+            violations.push(`${objectName}: ${objectDeleteCount} objects to delete exceeds maxDeleteCountPerObject ${maxDeleteCountPerObject}`);
+        }
+        const objectPercent = percent(objectDeleteCount, objectTotal);
+        if (exceeds(objectPercent, maxDeletePercentPerObject)) {
+            violations.push(`${objectName}: deleting ${objectPercent.toFixed(1)}% exceeds maxDeletePercentPerObject ${maxDeletePercentPerObject}%`);
+        }
+    });
+
+    return violations;
+}
+
+export {
+    checkDeletionGuardrails,
+    readPreviousListingCount
+};
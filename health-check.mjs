@@ -0,0 +1,236 @@
+import fs from "fs/promises";
+import { existsSync, readFileSync } from "fs";
+import dayjs from 'dayjs';
+import ActionBase from "./action-base.mjs";
+import BackupObject from "./backup-object.mjs";
+import { groupBackupsByObject, validateBackupSets } from "./backup-sets.mjs";
+import { createNamingSchemeResolver } from "./naming-schemes.mjs";
+import { createRetentionRuleResolver } from "./retention-rules.mjs";
+import { createBackupKeyFilter, withoutSidecars } from "./listing-filter.mjs";
+import { exitCodes } from "./cli.mjs";
+import utility from "./utility.mjs";
+
+const durationUnits = { m: 60, h: 3600, d: 86400, w: 604800 };
+const severity = { pass: 0, warn: 1, fail: 2 };
+
+// "15m", "24h", "7d" or "2w" in seconds
+function parseDuration(value) {
+    const match = /^(\d+(?:\.\d+)?)\s*([mhdw])$/.exec(String(value).trim());
+    if (!match) throw new Error(`Invalid duration: ${value}`);
+    return Number(match[1]) * durationUnits[match[2]];
+}
+
+function formatAge(seconds) {
+    if (seconds >= 86400) return `${(seconds / 86400).toFixed(1)}d`;
+    if (seconds >= 3600) return `${(seconds / 3600).toFixed(1)}h`;
+    return `${Math.round(seconds / 60)}m`;
+}
+
+// A threshold is "8d" (fail only) or { warn: "7d", fail: "8d" }
+function checkAge(ageSeconds, threshold) {
+    const { warn, fail } = typeof threshold === 'string' ? { fail: threshold } : threshold;
+    if (fail && ageSeconds > parseDuration(fail)) return 'fail';
+    if (warn && ageSeconds > parseDuration(warn)) return 'warn';
+    return 'pass';
+}
+
+// maxAge keys are backup kinds: logs come as trn, tlog or incremental too, and whatever is
+// neither full nor log is a differential. Any other key matches the raw type
+const ageTypeClassifiers = {
+    full: backup => backup.isFullBackup,
+    diff: backup => backup.isDifferentialBackup,
+    log: backup => backup.isLogBackup
+};
+
+function matchesAgeType(backup, type) {
+    return ageTypeClassifiers[type] ? ageTypeClassifiers[type](backup) : backup.type === type;
+}
+
+function worstStatus(statuses) {
+    return statuses.reduce((worst, status) => severity[status] > severity[worst] ? status : worst, 'pass');
+}
+
+function readHealthState(stateFile) {
+    if (!existsSync(stateFile)) return null;
+    try {
+        return JSON.parse(readFileSync(stateFile, 'utf8'));
+    } catch (e) {
+        return null;
+    }
+}
+
+class HealthCheck extends ActionBase {
+
+    static description = 'Check backup freshness and completeness per database and exit non-zero on failures';
+    static args = {
+        bucket: { type: 'string', description: 'Only check this configured bucket' },
+        failOnWarn: { type: 'boolean', description: 'Exit non-zero on warnings too', default: false }
+    };
+
+    constructor({ bucket, failOnWarn = false, logger = console }) {
+        super();
+        this.logger = logger;
+        this.bucket = bucket;
+        this.failOnWarn = failOnWarn;
+        this.exitCode = exitCodes.success;
+    }
+
+    async listBackups(s3Client, config, bucketName) {
+        const isBackupKey = createBackupKeyFilter(config, bucketName);
+        const resolveNamingScheme = createNamingSchemeResolver(config.namingSchemes, config.timezone);
+        const objects = [];
+        for await (const page of utility.iterateS3ObjectPages(s3Client, bucketName, config.prefix)) {
+            objects.push(...page.filter(obj => isBackupKey(obj.Key)).map(utility.compactObject));
+        }
+
+        const backups = [];
+        let skipped = 0;
+        withoutSidecars(objects, config).forEach(obj => {
+            try {
+                backups.push(new BackupObject(obj.Key, bucketName, resolveNamingScheme(bucketName, obj.Key), obj));
+            } catch (e) {
+                skipped++;
+            }
+        });
+        return { backups, skipped };
+    }
+
+    checkDatabase(bucketName, objectName, backupGroups, expectations, { now, minSetSizeRatio }) {
+        const checks = [];
+        const addCheck = (check, status, detail) => checks.push({ bucket: bucketName, database: objectName, check, status, detail });
+        const sortedBackupGroups = backupGroups.sort((a, b) => a[0].datetime.unix() - b[0].datetime.unix());
+
+        Object.entries(expectations.maxAge || {})
+            .filter(([, threshold]) => threshold)
+            .forEach(([type, threshold]) => {
+                const newest = sortedBackupGroups.filter(group => matchesAgeType(group[0], type)).pop();
+                if (!newest) {
+                    // Only a missing full is a failure; not every database takes differentials or logs
+                    if (type === 'full') addCheck(type, 'fail', 'no full backup');
+                    return;
+                }
+                const ageSeconds = now.diff(newest[0].datetime, 'second');
+                addCheck(type, checkAge(ageSeconds, threshold),
+                    `newest ${newest[0].datetime.format('YYYY-MM-DD HH:mm')} (${formatAge(ageSeconds)} ago)`);
+            });
+
+        if (expectations.requireCompleteSets) {
+            const incompleteSets = validateBackupSets(sortedBackupGroups, minSetSizeRatio);
+            // Later sets overwrite earlier ones, leaving the newest set of each type
+            const newestByType = new Map(sortedBackupGroups.map(group => [group[0].type, group[0].backupId]));
+            const newestIncomplete = [...newestByType.values()].filter(backupId => incompleteSets.has(backupId));
+
+            if (newestIncomplete.length > 0) {
+                addCheck('sets', 'fail', newestIncomplete.map(backupId => `${backupId}: ${incompleteSets.get(backupId).join(', ')}`).join('; '));
+            } else if (incompleteSets.size > 0) {
+                addCheck('sets', 'warn', `${incompleteSets.size} older incomplete set${incompleteSets.size > 1 ? 's' : ''}`);
+            } else {
+                addCheck('sets', 'pass', `${sortedBackupGroups.length} set${sortedBackupGroups.length > 1 ? 's' : ''} complete`);
+            }
+        }
+
+        return checks;
+    }
+
+    async checkBucket(s3Client, config, bucketName) {
+        const health = config.health || {};
+        const defaults = { maxAge: health.maxAge, requireCompleteSets: health.requireCompleteSets };
+        // Health rules match databases like retention rules do; first match wins
+        const resolveRule = createRetentionRuleResolver(
+            (health.rules || []).map(rule => ({
+                ...rule,
+                retention: {
+                    maxAge: { ...health.maxAge, ...rule.maxAge },
+                    requireCompleteSets: rule.requireCompleteSets ?? health.requireCompleteSets
+                }
+            })),
+            defaults
+        );
+
+        const { backups, skipped } = await this.listBackups(s3Client, config, bucketName);
+        const groupedBackups = groupBackupsByObject(backups);
+        const now = config.timezone ? dayjs().tz(config.timezone) : dayjs();
+        const checks = [];
+
+        groupedBackups.forEach((backupGroups, objectName) => {
+            const backup = backupGroups[0][0];
+            const { retention: expectations } = resolveRule(bucketName, backup.key, objectName);
+            checks.push(...this.checkDatabase(bucketName, objectName, backupGroups, expectations, {
+                now,
+                minSetSizeRatio: config.retention?.minSetSizeRatio
+            }));
+        });
+
+        // Databases are compared with the previous check of this bucket
+        const stateFile = `output/${bucketName}.health.json`;
+        const previous = readHealthState(stateFile);
+        const databases = [...groupedBackups.keys()].sort();
+        if (previous) {
+            databases
+                .filter(objectName => !previous.databases.includes(objectName))
+                .forEach(objectName => checks.push({ bucket: bucketName, database: objectName, check: 'presence', status: 'warn', detail: 'new since last check' }));
+            previous.databases
+                .filter(objectName => !groupedBackups.has(objectName))
+                .forEach(objectName => checks.push({ bucket: bucketName, database: objectName, check: 'presence', status: 'fail', detail: `no backups found, present on ${previous.checkedAt}` }));
+        }
+        await fs.mkdir('output', { recursive: true });
+        await fs.writeFile(stateFile, JSON.stringify({ checkedAt: new Date().toISOString(), databases }, null, 2), 'utf8');
+
+        if (skipped > 0) {
+            this.logger.info(`${skipped} keys in ${bucketName} do not match a naming scheme and were not checked`);
+        }
+        return checks;
+    }
+
+    formatTable(checks) {
+        const columns = ['bucket', 'database', 'check', 'status', 'detail'];
+        const widths = columns.map(column => Math.max(column.length, ...checks.map(check => String(check[column]).length)));
+        const formatRow = row => columns.map((column, i) => String(row[column]).padEnd(widths[i])).join('  ').trimEnd();
+        return [
+            formatRow(Object.fromEntries(columns.map(column => [column, column.toUpperCase()]))),
+            ...checks.map(check => formatRow({ ...check, status: check.status.toUpperCase() }))
+        ].join('\n');
+    }
+
+    async run(config) {
+        const buckets = this.bucket ? config.buckets.filter(bucket => bucket === this.bucket) : config.buckets;
+        const s3Client = utility.createS3Client(config);
+        const checks = [];
+
+        try {
+            for (const bucketName of buckets) {
+                try {
+                    checks.push(...await this.checkBucket(s3Client, config, bucketName));
+                } catch (error) {
+                    this.logger.error(`Error checking bucket ${bucketName}:`, error);
+                    checks.push({ bucket: bucketName, database: '*', check: 'listing', status: 'fail', detail: error.message });
+                }
+            }
+        } finally {
+            await s3Client.destroy();
+        }
+
+        const status = worstStatus(checks.map(check => check.status));
+        const counts = Object.fromEntries(Object.keys(severity)
+            .map(key => [key, checks.filter(check => check.status === key).length]));
+        this.logger.info(`\n${this.formatTable(checks)}\n\nHealth: ${status.toUpperCase()} (${counts.pass} pass, ${counts.warn} warn, ${counts.fail} fail)`);
+
+        const reportFile = `output/health-report-${buckets.join('_')}-${dayjs().format('YYYYMMDD-HHmmss')}.json`;
+        await fs.mkdir('output', { recursive: true });
+        await fs.writeFile(reportFile, JSON.stringify({ checkedAt: new Date().toISOString(), status, counts, checks }, null, 2), 'utf8');
+        this.logger.info(`Health report written to ${reportFile}`);
+
+        if (status === 'fail' || (status === 'warn' && this.failOnWarn)) {
+            this.exitCode = exitCodes.unhealthy;
+        }
+        return { status, counts, checks, reportFile };
+    }
+
+    async cleanup() {
+        if (this.exitCode !== exitCodes.success) {
+            process.exitCode = this.exitCode;
+        }
+    }
+}
+
+export default HealthCheck;
@@ -1,29 +1,59 @@
 import {
     S3Client,
     ListObjectsV2Command,
-    DeleteObjectsCommand,
-    GetObjectCommand,
-    PutObjectCommand
+    DeleteObjectsCommand
 } from "@aws-sdk/client-s3";
-import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
-import dayjs from 'dayjs';
-import weekOfYear from 'dayjs/plugin/weekOfYear.js';
 import { readFileSync } from 'fs';
-import { writeFileSync } from "fs";
-import { existsSync } from 'fs';
-import ObjectsToCsv from "objects-to-csv";
+import { existsSync, renameSync } from 'fs';
 import cron from 'node-cron';
 import BackupObject from "./backup-object.mjs";
+import { validateBackupSets } from "./backup-sets.mjs";
+import { createNamingSchemeResolver } from "./naming-schemes.mjs";
+import { buildBackupChains, applyRetentionPolicy } from "./retention-policy.mjs";
+import { writeRetentionReport } from "./retention-report.mjs";
+import { checkDeletionGuardrails, readPreviousListingCount } from "./guardrails.mjs";
+import { defaultSidecarExtensions, readVerifiedKeys } from "./verification.mjs";
+import { createDeletionPlan, writeDeletionPlan } from "./deletion-plan.mjs";
+import { iterateObjectVersionPages, cleanupObjectVersions } from "./versioning.mjs";
+import { filterLockedObjects } from "./object-lock.mjs";
+import { quarantineS3Objects } from "./quarantine.mjs";
+import { getSidecarExtensions, createBackupKeyFilter } from "./listing-filter.mjs";
+import { estimateMonthlySavings, transitionS3Objects } from "./tiering.mjs";
+import { defaultLockKey, acquirePruneLock, keepPruneLock, releasePruneLock } from "./prune-lock.mjs";
+import { deepMerge, interpolateEnv, validateConfig, redactConfig } from "./config-schema.mjs";
+import { readListingFile, createListingWriter, writeListingFile } from "./listing-file.mjs";
+import { iterateInventoryPages } from "./inventory.mjs";
+import { createProgressReporter } from "./progress.mjs";
+import { sendRunNotifications } from "./notifications.mjs";
+import { recordPruneRun, startMetricsServer } from "./metrics.mjs";
 import FindBlobs from "./find-blobs.mjs";
+import GenerateSignedUrls from "./generate-signed-urls.mjs";
+import ApplyPlan from "./apply-plan.mjs";
+import PurgeQuarantine from "./purge-quarantine.mjs";
+import RestoreQuarantine from "./restore-quarantine.mjs";
+import ValidateConfig from "./validate-config.mjs";
+import HealthCheck from "./health-check.mjs";
+import Verify from "./verify.mjs";
+import RestorePlan from "./restore-plan.mjs";
+import UsageReport from "./usage-report.mjs";
+import {
+    exitCodes,
+    usageError,
+    parseCommandLine,
+    parseModeArgs,
+    applyConfigOverrides,
+    describeConfig,
+    selectConfigs,
+    formatHelp,
+    formatModeHelp
+} from "./cli.mjs";
 import ActionBase from "./action-base.mjs";
 import utility from "./utility.mjs";
 
-const debug = false;
+const { listS3Objects, iterateS3ObjectPages, compactObject, deleteS3Objects, mapWithConcurrency } = utility;
 
 const logger = console;
 
-dayjs.extend(weekOfYear);
-
 const defaultConfig = {
     cron: "* */4 * * *",
     aws: {
@@ -38,12 +68,110 @@ const defaultConfig = {
     },
     buckets: [],
     prefix: '',
+    listing: {
+        source: 'live',
+        file: 'output/{bucket}.list.json',
+        inventory: {
+            manifest: null,
+            localRoot: null
+        }
+    },
+    namingSchemes: [],
+    timezone: null,
+    retentionRules: [],
     retention: {
         yearlyBackups: 1,
         monthlyBackups: 12,
         weeklyBackups: 4,
+        dailyBackups: 0,
+        periodPick: 'last',
+        weekStart: 'iso',
+        keepWithinDays: 0,
+        minAgeDays: 0,
         differentialBackups: 7,
-        fullBackups: 1
+        logBackups: 7,
+        fullBackups: 1,
+        deleteOrphans: false,
+        incompleteSetAction: 'keep',
+        minSetSizeRatio: 0.5,
+        tiering: []
+    },
+    guardrails: {
+        maxDeleteCount: null,
+        maxDeletePercent: 50,
+        maxDeleteCountPerObject: null,
+        maxDeletePercentPerObject: null,
+        maxListingDropPercent: 20,
+        requireVerifiedFull: false
+    },
+    versioning: {
+        enabled: false,
+        noncurrentGraceDays: 30,
+        removeOrphanDeleteMarkers: true
+    },
+    objectLock: {
+        enabled: false,
+        bypassGovernanceRetention: false,
+        requeue: true
+    },
+    plan: {
+        write: false,
+        maxAgeHours: 24,
+        signingKey: null
+    },
+    tiering: {
+        enabled: false,
+        pricesPerGbMonth: {}
+    },
+    lock: {
+        enabled: false,
+        key: defaultLockKey,
+        ttlMinutes: 120
+    },
+    quarantine: {
+        enabled: false,
+        bucket: null,
+        prefix: 'quarantine/',
+        storageClass: null,
+        purgeAfterDays: 30
+    },
+    notifications: {
+        when: 'errors',
+        notifiers: []
+    },
+    health: {
+        maxAge: {
+            full: '8d',
+            diff: null,
+            log: null
+        },
+        requireCompleteSets: true,
+        rules: []
+    },
+    verify: {
+        sampleSize: 5,
+        concurrency: 4,
+        readBodies: false,
+        sidecarExtensions: defaultSidecarExtensions,
+        manifest: null
+    },
+    usage: {
+        pricesPerGbMonth: {},
+        currency: 'USD',
+        historySize: 60
+    },
+    metrics: {
+        enabled: false,
+        host: '0.0.0.0',
+        port: 9464,
+        path: '/metrics'
+    },
+    performance: {
+        bucketConcurrency: 1,
+        deleteConcurrency: 4,
+        maxRetries: 5,
+        retryBaseDelayMs: 200,
+        progressIntervalSeconds: 10
     },
     dryRun: true,
     deleteNonRetained: false
@@ -56,349 +184,311 @@ function loadConfig() {
     const configPath = './config.json';
     if (existsSync(configPath)) {
         const configFile = JSON.parse(readFileSync(configPath, 'utf8'));
-        config = { ...config, ...configFile };
+        config = deepMerge(config, configFile);
     }
 
-    // Load local config overrides
+    // Load local config overrides: an array holds one entry per endpoint or bucket set,
+    // an object overrides config.json as a whole
     const localConfigPath = './config.local.json';
     if (existsSync(localConfigPath)) {
         const localConfigFile = JSON.parse(readFileSync(localConfigPath, 'utf8'));
         if (Array.isArray(localConfigFile)) {
-            config = localConfigFile.map(localConfigEntry => {
-                return { ...config, ...localConfigEntry }
-            });
+            config = localConfigFile.map(localConfigEntry => deepMerge(config, localConfigEntry));
+        } else {
+            config = deepMerge(config, localConfigFile);
         }
     }
 
     return config;
 }
 
-function groupBackupsByObject(backupObjects) {
-    // First group by object name
-    const byObjectName = new Map();
-
-    backupObjects.forEach(backup => {
-        if (!byObjectName.has(backup.objectName)) {
-            byObjectName.set(backup.objectName, []);
+// Listing pages from the configured source: live ListObjectsV2, a saved listing file or an S3 Inventory report
+function iterateListingPages(s3Client, config, bucketName) {
+    const listing = config.listing || {};
+    switch (listing.source || 'live') {
+        case 'live':
+            return iterateS3ObjectPages(s3Client, bucketName, config.prefix);
+        case 'file': {
+            const filename = listing.file.replace(/\{bucket\}/g, bucketName);
+            console.log(`Replaying saved listing ${filename} for ${bucketName}`);
+            const objects = readListingFile(filename)
+                .filter(obj => obj.Key.startsWith(config.prefix || ''));
+            return [objects];
         }
-        byObjectName.get(backup.objectName).push(backup);
-    });
-
-    // For each object name, group by backup ID (to keep parts together)
-    const result = new Map();
-
-    byObjectName.forEach((backups, objectName) => {
-        const backupGroups = new Map();
-
-        backups.forEach(backup => {
-            if (!backupGroups.has(backup.backupId)) {
-                backupGroups.set(backup.backupId, []);
-            }
-            backupGroups.get(backup.backupId).push(backup);
-        });
-
-        result.set(objectName, Array.from(backupGroups.values()));
-    });
-
-    return result;
+        case 'inventory':
+            return iterateInventoryPages(s3Client, bucketName, { ...listing.inventory, prefix: config.prefix });
+        default:
+            throw new Error(`Unknown listing source: ${listing.source}`);
+    }
 }
 
-async function listS3Objects(s3Client, bucketName, prefix = '') {
+// Lists one bucket page by page, keeping only the fields retention needs and writing
+// the saved listing as the pages come in. Retention needs every backup of a database at
+// once and keys are not listed grouped by database, so the trimmed current listing stays
+// in memory; version listings are reduced per key as they arrive
+async function listBucket(s3Client, config, bucketName, { listFilename, progress }) {
+    // Quarantined copies kept in this bucket and the lock object are not backups to evaluate
+    const isBackupKey = createBackupKeyFilter(config, bucketName);
+    const isBackupCandidate = obj => isBackupKey(obj.Key);
+    const source = config.listing?.source || 'live';
+    // Retention applies to current versions only; of the older versions just those
+    // behind a delete marker are kept, for the version cleanup
+    const versioned = config.versioning?.enabled && source === 'live';
+
+    // A replayed listing is not the bucket's current state, so it must not become the
+    // baseline the next run's listing drop guardrail compares against
+    const writer = source === 'file' ? null : createListingWriter(listFilename);
     const objects = [];
-    let continuationToken;
-
-    do {
-        try {
-            const command = new ListObjectsV2Command({
-                Bucket: bucketName,
-                Prefix: prefix,
-                ContinuationToken: continuationToken
-            });
-
-            const response = await s3Client.send(command);
-
-            if (response.Contents) {
-                objects.push(...response.Contents);
-            }
-
-            continuationToken = response.NextContinuationToken;
-        } catch (error) {
-            logger.error(`Error listing objects in bucket ${bucketName}:`, error);
-            throw error;
+    const deletedKeys = [];
+    try {
+        const pages = versioned
+            ? iterateObjectVersionPages(s3Client, bucketName, config.prefix)
+            : iterateListingPages(s3Client, config, bucketName);
+        for await (const page of pages) {
+            const backups = (versioned ? page.objects : page).filter(isBackupCandidate).map(compactObject);
+            if (versioned) deletedKeys.push(...page.deletedKeys);
+            writer?.write(backups);
+            objects.push(...backups);
+            progress.update({ listed: objects.length });
         }
-    } while (continuationToken);
-
-    return objects;
+        writer?.close();
+    } catch (error) {
+        writer?.abort();
+        throw error;
+    }
+    return { objects, versionListing: versioned ? { deletedKeys } : null };
 }
 
-async function deleteS3Objects(s3Client, bucketName, keys) {
-    const chunkSize = 1000;
-    const chunks = [];
+async function processBucket(s3Client, config, bucketName, allResults) {
+    console.log(`\nProcessing bucket: ${bucketName}`);
 
-    for (let i = 0; i < keys.length; i += chunkSize) {
-        chunks.push(keys.slice(i, i + chunkSize));
+    // Replaying an old listing shows what a policy would do, it never deletes
+    if (config.listing?.source === 'file' && !config.dryRun) {
+        console.warn(`Listing of ${bucketName} is replayed from a file, running as a dry run`);
+        config = { ...config, dryRun: true };
+    }
+    if (config.versioning?.enabled && config.listing?.source && config.listing.source !== 'live') {
+        console.warn(`Version cleanup for ${bucketName} needs the live listing and is skipped`);
     }
 
-    const deletionResults = {
-        successful: [],
-        failed: []
-    };
-
-    for (const chunk of chunks) {
-        const command = new DeleteObjectsCommand({
-            Bucket: bucketName,
-            Delete: {
-                Objects: chunk.map(key => ({ Key: key })),
-                Quiet: false
+    const performance = config.performance || {};
+    const progress = createProgressReporter(bucketName, { intervalSeconds: performance.progressIntervalSeconds });
+    let pruneLock = null;
+    let lockKeeper = null;
+    // Throws when the lock was lost, which ends the bucket before its next phase
+    const renewPruneLock = async () => lockKeeper?.renew();
+    try {
+        // Another instance pruning the same bucket wins, we try again next run
+        if (config.lock?.enabled) {
+            const { acquired, lock, etag, holder } = await acquirePruneLock(s3Client, bucketName, config.lock);
+            if (!acquired) {
+                console.warn(`Skipping ${bucketName}: locked by ${holder?.owner} until ${holder?.expiresAt}`);
+                allResults.byBucket[bucketName] = { error: 'locked by another instance', lockHolder: holder };
+                allResults.totalSummary.busyBuckets.push(bucketName);
+                return;
             }
+            pruneLock = lock;
+            lockKeeper = keepPruneLock(s3Client, lock, etag, config.lock);
+        }
+
+        const listFilename = `output/${bucketName}.list.json`;
+        // The new listing only replaces the baseline once the guardrails accept it, so a
+        // truncated listing that trips them cannot become what the next run compares against
+        const pendingListFilename = `output/${bucketName}.list.pending.json`;
+        const previousListedCount = readPreviousListingCount(listFilename);
+        const { objects, versionListing } = await listBucket(s3Client, config, bucketName, { listFilename: pendingListFilename, progress });
+        objects.forEach(obj => obj.bucketName = bucketName);
+
+        const result = applyRetentionPolicy(objects, config.retention, {
+            namingSchemes: config.namingSchemes,
+            retentionRules: config.retentionRules,
+            sidecarExtensions: getSidecarExtensions(config),
+            timezone: config.timezone,
+            onProgress: evaluated => progress.update({ evaluated })
         });
 
-        try {
-            const response = await s3Client.send(command);
+        console.log(`\nRetention Policy Summary for ${bucketName}:`, result.summary);
 
-            if (response.Deleted) {
-                deletionResults.successful.push(...response.Deleted.map(obj => obj.Key));
-            }
-            if (response.Errors) {
-                deletionResults.failed.push(...response.Errors.map(error => ({
-                    key: error.Key,
-                    error: error.Message,
-                    bucket: bucketName
-                })));
+        // Evaluated on dry runs too, so a run that would abort is visible up front
+        result.guardrailViolations = checkDeletionGuardrails(result, {
+            listedCount: objects.length,
+            previousListedCount,
+            guardrails: config.guardrails,
+            verifiedKeys: config.guardrails?.requireVerifiedFull ? readVerifiedKeys(bucketName) : undefined
+        });
+        if (result.guardrailViolations.length > 0) {
+            console.warn(`\nDeletion guardrails tripped for ${bucketName}:`, result.guardrailViolations);
+        }
+        if (existsSync(pendingListFilename)) {
+            if (result.guardrailViolations.length === 0) {
+                renameSync(pendingListFilename, listFilename);
+            } else {
+                console.warn(`Listing of ${bucketName} kept in ${pendingListFilename}; ${listFilename} stays the baseline`);
             }
-        } catch (error) {
-            logger.error(`Error during batch deletion in bucket ${bucketName}:`, error);
-            deletionResults.failed.push(...chunk.map(key => ({
-                key,
-                error: error.message,
-                bucket: bucketName
-            })));
         }
-    }
 
-    return deletionResults;
-}
+        await renewPruneLock();
 
-function applyRetentionPolicy(backups, retentionConfig) {
-    const backupObjects = backups
-        .map(obj => {
-            try {
-                return new BackupObject(obj.Key, obj.bucketName);
-            } catch (e) {
-                console.warn(`Skipping invalid backup: ${obj.Key}`);
-                return null;
-            }
-        })
-        .filter(Boolean);
-
-    // Group backups by object name and then by backup ID
-    const groupedBackups = groupBackupsByObject(backupObjects);
-    const retainedBackups = new Set();
-    const retentionSummary = {
-        totalBackups: 0,
-        retainedCount: 0,
-        deleteCount: 0,
-        byObject: {}
-    };
-
-    // Process each object's backups separately
-    groupedBackups.forEach((backupGroups, objectName) => {
-        // Sort backup groups by date (oldest first)
-        const sortedBackupGroups = backupGroups
-            .sort((a, b) => {
-                return a[0].datetime.unix() - b[0].datetime.unix();
+        // Locked objects would only fail inside DeleteObjects, so drop them up front
+        if (config.objectLock?.enabled && result.backupsToDelete.length > 0 &&
+            result.guardrailViolations.length === 0) {
+            const { deletable, locked } = await filterLockedObjects(s3Client, bucketName, result.backupsToDelete, {
+                bypassGovernanceRetention: config.objectLock.bypassGovernanceRetention,
+                requeueFile: config.objectLock.requeue ? `output/${bucketName}.locked.json` : undefined
             });
-
-        const objectRetained = new Set();
-        const objectSummary = {
-            totalBackups: sortedBackupGroups.length,
-            yearlyBackups: 0,
-            monthlyBackups: 0,
-            weeklyBackups: 0,
-            differentialBackups: 0,
-            fullBackups: 0  // New: Track retained full backups
-        };
-
-        const retainedYears = new Set();
-        const retainedMonths = new Set();
-        const retainedWeeks = new Set();
-        let diffCount = 0;
-        let fullCount = 0;  // New: Track count of retained full backups
-
-        // First pass: Retain newest full backups up to the limit
-        const reversedGroups = [...sortedBackupGroups].reverse();
-        reversedGroups.forEach(backupGroup => {
-            const backup = backupGroup[0];
-            if (backup.isFullBackup && fullCount < retentionConfig.fullBackups) {
-                backupGroup.forEach(part => {
-                    objectRetained.add(part.key);
-                    retainedBackups.add(part.key);
-                });
-                fullCount++;
-                objectSummary.fullBackups++;
+            result.backupsToDelete = deletable;
+            result.lockedBackups = locked;
+            result.summary.lockedCount = locked.length;
+            result.summary.deleteCount -= locked.length;
+
+            const decisionsByKey = new Map(result.decisions.map(decision => [decision.key, decision]));
+            // Per-database counts too, the guardrails and reports read them
+            locked.forEach(({ key, objectName, reason }) => {
+                const decision = decisionsByKey.get(key);
+                decision.decision = 'locked';
+                decision.reasons.push(reason);
+                const objectSummary = result.summary.byObject[objectName];
+                objectSummary.deleteCount--;
+                objectSummary.lockedCount = (objectSummary.lockedCount || 0) + 1;
+            });
+            if (locked.length > 0) {
+                console.log(`\nObject Lock keeps ${locked.length} backups in ${bucketName} for now`);
             }
-        });
+        }
 
-        // Second pass: Process yearly/monthly retention for remaining full backups
-        sortedBackupGroups.forEach(backupGroup => {
-            const backup = backupGroup[0];
-            if (backup.isFullBackup && !objectRetained.has(backup.key)) {
-                let shouldRetain = false;
-
-                // 1. Yearly retention
-                if (!retainedYears.has(backup.year) &&
-                    retainedYears.size < retentionConfig.yearlyBackups) {
-                    retainedYears.add(backup.year);
-                    objectSummary.yearlyBackups++;
-                    shouldRetain = true;
+        if (result.backupsToDelete.length > 0) {
+            console.log(`\nBackups to delete in ${bucketName}: ${result.backupsToDelete.length}`);
+
+            if (result.guardrailViolations.length > 0) {
+                console.warn(`\nSkipping deletion phase for ${bucketName}`);
+                result.deletionAborted = true;
+                allResults.totalSummary.abortedBuckets.push(bucketName);
+            } else if (config.plan?.write) {
+                console.log(`\nDeletions for ${bucketName} go to the deletion plan`);
+            } else if (config.deleteNonRetained && !config.dryRun) {
+                const deleteOptions = {
+                    bypassGovernanceRetention: config.objectLock?.bypassGovernanceRetention,
+                    concurrency: performance.deleteConcurrency,
+                    maxRetries: performance.maxRetries,
+                    retryBaseDelayMs: performance.retryBaseDelayMs,
+                    onProgress: deleted => progress.update({ deleted })
+                };
+                let deletionResult;
+                if (config.quarantine?.enabled) {
+                    console.log(`\nQuarantining non-retained backups from ${bucketName}...`);
+                    deletionResult = await quarantineS3Objects(
+                        s3Client, bucketName, result.backupsToDelete, config.quarantine, deleteOptions
+                    );
+                } else {
+                    console.log(`\nDeleting non-retained backups from ${bucketName}...`);
+                    deletionResult = await deleteS3Objects(
+                        s3Client,
+                        bucketName,
+                        result.backupsToDelete.map(b => b.key),
+                        deleteOptions
+                    );
                 }
 
-                // 2. Monthly retention
-                const monthKey = backup.getMonthKey();
-                if (!retainedMonths.has(monthKey) &&
-                    retainedMonths.size < retentionConfig.monthlyBackups) {
-                    retainedMonths.add(monthKey);
-                    objectSummary.monthlyBackups++;
-                    shouldRetain = true;
-                }
+                result.deletionResult = deletionResult;
 
-                if (shouldRetain) {
-                    // Retain all parts of this backup
-                    backupGroup.forEach(part => {
-                        objectRetained.add(part.key);
-                        retainedBackups.add(part.key);
-                    });
-                }
-            }
-        });
+                // Keep the saved listing in step with the bucket so our own deletions
+                // do not look like a listing drop on the next run
+                const deletedKeys = new Set(deletionResult.successful);
+                writeListingFile(listFilename, objects.filter(obj => !deletedKeys.has(obj.Key)));
 
-        // Third pass: Process weekly backups and differential backups
-        reversedGroups.forEach(backupGroup => {
-            const backup = backupGroup[0];
-            let shouldRetain = false;
-            if (backup.isFullBackup && !objectRetained.has(backup.key)) {
-                // 3. Weekly retention
-                const weekKey = backup.getWeekKey();
-                if (!retainedWeeks.has(weekKey) &&
-                    retainedWeeks.size < retentionConfig.weeklyBackups) {
-                    retainedWeeks.add(weekKey);
-                    objectSummary.weeklyBackups++;
-                    shouldRetain = true;
+                // On a versioned bucket this only adds delete markers - space comes back
+                // when the noncurrent versions are purged below. Quarantined backups still
+                // take up space until purgeQuarantine removes them
+                if (!versionListing && !config.quarantine?.enabled) {
+                    result.reclaimedBytes = result.backupsToDelete
+                        .filter(backup => deletedKeys.has(backup.key))
+                        .reduce((total, backup) => total + (backup.size || 0), 0);
                 }
             }
+        }
 
-            if (!backup.isFullBackup && diffCount < retentionConfig.differentialBackups) {
-                shouldRetain = true;
-                diffCount++;
-                objectSummary.differentialBackups++;
+        if (result.tieringCandidates.length > 0) {
+            result.tiering = {
+                candidates: result.tieringCandidates.length,
+                bytes: result.tieringCandidates.reduce((total, candidate) => total + (candidate.size || 0), 0),
+                projectedMonthlySavings: estimateMonthlySavings(result.tieringCandidates, config.tiering?.pricesPerGbMonth)
+            };
+            // An in-place copy leaves the old object behind as a noncurrent version, still billed
+            // at its old class, and version cleanup only purges versions of deleted backups
+            if (config.versioning?.enabled) {
+                result.tiering.skipped = 'versioned bucket - use a lifecycle transition rule instead';
             }
+            console.log(`\nStorage class tiering for ${bucketName}:`, result.tiering);
 
-            if (shouldRetain) {
-                // Retain all parts of this backup
-                backupGroup.forEach(part => {
-                    objectRetained.add(part.key);
-                    retainedBackups.add(part.key);
-                });
+            if (config.tiering?.enabled && !config.dryRun && result.guardrailViolations.length === 0 && !result.tiering.skipped) {
+                await renewPruneLock();
+                result.tiering.result = await transitionS3Objects(s3Client, bucketName, result.tieringCandidates);
             }
-        });
+        }
 
+        if (versionListing && result.guardrailViolations.length === 0 && !config.plan?.write) {
+            await renewPruneLock();
+            const resolveNamingScheme = createNamingSchemeResolver(config.namingSchemes, config.timezone);
+            const isListedBackupKey = createBackupKeyFilter(config, bucketName);
+            result.versionCleanup = await cleanupObjectVersions(s3Client, bucketName, versionListing, {
+                ...config.versioning,
+                isBackupKey: key => isListedBackupKey(key) &&
+                    resolveNamingScheme(bucketName, key).parse(key) !== null,
+                bypassGovernanceRetention: config.objectLock?.bypassGovernanceRetention,
+                objectLock: {
+                    enabled: config.objectLock?.enabled,
+                    requeueFile: config.objectLock?.requeue ? `output/${bucketName}.locked-versions.json` : undefined
+                },
+                dryRun: config.dryRun || !config.deleteNonRetained
+            });
+            result.reclaimedBytes = result.versionCleanup.reclaimedBytes;
+            console.log(`\nVersion cleanup for ${bucketName}:`, result.versionCleanup);
+        }
 
-        // Update summary for this object
-        objectSummary.retainedCount = objectRetained.size;
-        objectSummary.deleteCount = backupObjects
-            .filter(b => b.objectName === objectName)
-            .length - objectRetained.size;
-
-        // Add more detailed information about retained backups
-        objectSummary.retainedBackups = Array.from(objectRetained).map(key => {
-            const backup = backupObjects.find(b => b.key === key);
-            return {
-                key: backup.key,
-                date: backup.datetime.format('YYYY-MM-DD HH:mm:ss'),
-                type: backup.type,
-                part: backup.part
-            };
-        });
+        progress.done();
 
-        retentionSummary.byObject[objectName] = objectSummary;
-        retentionSummary.totalBackups += objectSummary.totalBackups;
-        retentionSummary.retainedCount += objectSummary.retainedCount;
-        retentionSummary.deleteCount += objectSummary.deleteCount;
-    });
+        allResults.byBucket[bucketName] = result;
+        allResults.totalSummary.totalBackups += result.summary.totalBackups;
+        allResults.totalSummary.retainedCount += result.summary.retainedCount;
+        allResults.totalSummary.deleteCount += result.summary.deleteCount;
+        allResults.totalSummary.reclaimedBytes += result.reclaimedBytes || 0;
+        allResults.totalSummary.tieringCount += result.tieringCandidates.length;
+        allResults.totalSummary.projectedMonthlySavings = Math.round(
+            (allResults.totalSummary.projectedMonthlySavings + (result.tiering?.skipped ? 0 : result.tiering?.projectedMonthlySavings || 0)) * 100) / 100;
 
-    // Calculate backups to delete
-    const backupsToDelete = backupObjects
-        .filter(backup => !retainedBackups.has(backup.key))
-        .map(backup => ({
-            key: backup.key,
-            bucketName: backup.bucketName,
-            date: backup.datetime.format('YYYY-MM-DD HH:mm:ss'),
-            type: backup.type
-        }));
-
-    return {
-        retainedBackups: Array.from(retainedBackups),
-        backupsToDelete,
-        summary: retentionSummary
-    };
+    } catch (error) {
+        console.error(`Error processing bucket ${bucketName}:`, error);
+        allResults.byBucket[bucketName] = { error: error.message };
+    } finally {
+        await lockKeeper?.stop();
+        if (pruneLock) {
+            await releasePruneLock(s3Client, pruneLock)
+                .catch(error => console.error(`Error releasing prune lock in ${bucketName}:`, error));
+        }
+    }
 }
 
 async function processBackups(config) {
     const s3Client = utility.createS3Client(config);
 
     const allResults = {
-        byBucket: {},
+        // Filled in config order, whichever bucket finishes first
+        byBucket: Object.fromEntries(config.buckets.map(bucketName => [bucketName, null])),
         totalSummary: {
             totalBackups: 0,
             retainedCount: 0,
-            deleteCount: 0
+            deleteCount: 0,
+            reclaimedBytes: 0,
+            tieringCount: 0,
+            projectedMonthlySavings: 0,
+            abortedBuckets: [],
+            busyBuckets: []
         }
     };
 
     try {
-        for (const bucketName of config.buckets) {
-            console.log(`\nProcessing bucket: ${bucketName}`);
-
-            try {
-                const listFilename = `output/${bucketName}.list.json`;
-                let objects;
-                if (debug === true && existsSync(listFilename)) {
-                    objects = JSON.parse(readFileSync(listFilename));
-                } else {
-                    objects = await listS3Objects(s3Client, bucketName, config.prefix);
-                    writeFileSync(listFilename, JSON.stringify(objects));
-                }
-                objects.forEach(obj => obj.bucketName = bucketName);
-
-                const result = applyRetentionPolicy(objects, config.retention);
-
-                console.log(`\nRetention Policy Summary for ${bucketName}:`, result.summary);
-
-                if (result.backupsToDelete.length > 0) {
-                    console.log(`\nBackups to delete in ${bucketName}: ${result.backupsToDelete.length}`);
-
-                    if (config.deleteNonRetained && !config.dryRun) {
-                        console.log(`\nDeleting non-retained backups from ${bucketName}...`);
-                        const deletionResult = await deleteS3Objects(
-                            s3Client,
-                            bucketName,
-                            result.backupsToDelete.map(b => b.key)
-                        );
-
-                        result.deletionResult = deletionResult;
-                    }
-                }
-
-                allResults.byBucket[bucketName] = result;
-                allResults.totalSummary.totalBackups += result.summary.totalBackups;
-                allResults.totalSummary.retainedCount += result.summary.retainedCount;
-                allResults.totalSummary.deleteCount += result.summary.deleteCount;
-
-            } catch (error) {
-                console.error(`Error processing bucket ${bucketName}:`, error);
-                allResults.byBucket[bucketName] = { error: error.message };
-            }
-        }
+        await mapWithConcurrency(config.buckets, config.performance?.bucketConcurrency,
+            bucketName => processBucket(s3Client, config, bucketName, allResults));
     } finally {
         // Ensure client is properly closed
         await s3Client.destroy();
@@ -408,8 +498,6 @@ async function processBackups(config) {
 }
 
 async function prune(config) {
-    const finalTable = [];
-
     const results = await processBackups(config);
 
     logger.log('\nTotal Summary:', results.totalSummary);
@@ -418,113 +506,208 @@ async function prune(config) {
         logger.log('\nTo perform actual deletions, set dryRun: false in your config');
     }
 
-    for (const bucket in results.byBucket) {
-        const { byObject } = results.byBucket[bucket].summary;
-        for (const db in byObject) {
-            const summary = byObject[db];
-            summary.retainedBackups.forEach(backup => {
-                finalTable.push({
-                    bucket,
-                    db,
-                    key: backup.key
-                })
-            });
-        }
+    // Buckets that failed have no decisions to report
+    const decisions = Object.values(results.byBucket)
+        .flatMap(result => result.decisions || []);
+    const reportFiles = await writeRetentionReport(decisions, {
+        name: `retention-report-${config.buckets.join('_')}`,
+        title: `Retention report - ${config.buckets.join(', ')}${config.dryRun ? ' (dry run)' : ''}`
+    });
+    logger.log('\nRetention report written to:', reportFiles);
+
+    if (config.plan?.write && config.listing?.source === 'file') {
+        logger.warn('\nNo deletion plan written: the listing was replayed from a file, not read from the bucket');
+    } else if (config.plan?.write) {
+        const planFile = await writeDeletionPlan(createDeletionPlan(config, results), {
+            name: `deletion-plan-${config.buckets.join('_')}`
+        });
+        logger.log(`\nDeletion plan written to ${planFile}. Apply it with: node index.mjs mode=applyPlan plan=${planFile}`);
     }
 
-    return finalTable;
+    return results;
+}
+
+function getPruneExitCode(results) {
+    const { abortedBuckets, busyBuckets } = results.totalSummary;
+    const failed = Object.entries(results.byBucket).some(([bucketName, result]) =>
+        (result.error && !busyBuckets.includes(bucketName)) ||
+        result.deletionResult?.failed.length > 0 ||
+        result.tiering?.result?.failed.length > 0);
+
+    if (failed) return exitCodes.error;
+    if (abortedBuckets.length > 0) return exitCodes.guardrailsTripped;
+    if (busyBuckets.length > 0) return exitCodes.bucketBusy;
+    return exitCodes.success;
+}
+
+function logConfiguration(config) {
+    logger.info('Configuration loaded:', redactConfig(config));
+}
+
+async function runPrune(config) {
+    const title = `${config.aws.endpoint} - ${config.buckets.join(',')}`
+    logger.info(`Running ${title}....`);
+    if (config.dryRun) {
+        logger.debug('DRY RUN MODE - No deletions will be performed');
+    }
+
+    const startedAt = Date.now();
+    const recordMetrics = (results, error) => {
+        if (config.metrics?.enabled) {
+            recordPruneRun(config, results, { durationSeconds: (Date.now() - startedAt) / 1000, error });
+        }
+    };
+
+    let results;
+    try {
+        results = await prune(config);
+    } catch (error) {
+        recordMetrics(null, error);
+        await sendRunNotifications(config, null, error);
+        throw error;
+    }
+    recordMetrics(results);
+    await sendRunNotifications(config, results);
+    return results;
 }
 
 class PruneBackup extends ActionBase {
+    static description = 'Prune on the cron schedule from the config (default mode)';
+
     async run(config) {
-        logger.info('Configuration loaded:', {
-            ...config,
-            aws: {
-                ...config.aws,
-                credentials: {
-                    accessKeyId: '***',
-                    secretAccessKey: '***'
-                }
-            }
-        });
+        logConfiguration(config);
+        if (config.metrics?.enabled) {
+            startMetricsServer(config.metrics);
+        }
 
-        cron.schedule(config.cron, () => {
-            const title = `${config.aws.endpoint} - ${config.buckets.join(',')}`
-            logger.info(`Running ${title}....`);
-            if (config.dryRun) {
-                logger.debug('DRY RUN MODE - No deletions will be performed');
+        // A tick that fires while the previous run is still going is skipped
+        let running = false;
+        cron.schedule(config.cron, async () => {
+            if (running) {
+                logger.warn(`Previous prune of ${config.buckets.join(',')} still running, skipping this tick`);
+                return;
             }
+            running = true;
             try {
-                prune(config);
+                await runPrune(config);
             } catch (err) {
                 logger.error(err);
+            } finally {
+                running = false;
             }
         });
     }
 };
 
-class GenerateSignedUrls extends ActionBase {
-    async run(config, args) {
-        const { bucket, blob, expiresIn = 24 * 60 * 60 } = args;
-        if (!config.buckets.includes(bucket)) {
-            logger.info(`Bucket ${bucket} not found in ${config.aws.endpoint}`);
-            return;
-        }
+class RunPrune extends ActionBase {
+    static description = 'Prune once and exit with a meaningful exit code';
 
-        const s3Client = utility.createS3Client(config);
-        const getObjectParams = {
-            Bucket: bucket,
-            Key: blob, // The path to your object in S3
-        };
-        const getCommand = new GetObjectCommand(getObjectParams);
-        const signedUrl = await getSignedUrl(s3Client, getCommand, { expiresIn });
-        logger.info("Signed URL for download:", signedUrl);
+    constructor() {
+        super();
+        this.exitCode = exitCodes.success;
+    }
 
+    async run(config) {
+        logConfiguration(config);
+        const results = await runPrune(config);
+        // The first config that did not succeed decides the exit code
+        this.exitCode = this.exitCode || getPruneExitCode(results);
+
+        // Per-key decisions are in the retention report already
+        const byBucket = Object.fromEntries(Object.entries(results.byBucket)
+            .map(([bucketName, { decisions, ...result }]) => [bucketName, result]));
+        return { totalSummary: results.totalSummary, byBucket };
+    }
+
+    async cleanup() {
+        process.exitCode = this.exitCode;
     }
 }
 
 const modes = {
+    prune: RunPrune,
     schedulePrune: PruneBackup,
     findBlobs: FindBlobs,
-    generateSignedUrls: GenerateSignedUrls
+    generateSignedUrls: GenerateSignedUrls,
+    applyPlan: ApplyPlan,
+    purgeQuarantine: PurgeQuarantine,
+    restoreQuarantine: RestoreQuarantine,
+    validateConfig: ValidateConfig,
+    healthCheck: HealthCheck,
+    verify: Verify,
+    restorePlan: RestorePlan,
+    usageReport: UsageReport
 };
 
-async function main() {
-    // convert arguments to an object
-    const args = process.argv.slice(2).reduce((acc, arg) => {
-        const [key, value] = arg.split('=');
-        acc[key] = value;
-        return acc;
-    }, {});
-
-    const { mode = "schedulePrune", ...options } = args;
+function printHelp(mode) {
+    console.log(modes[mode] ? formatModeHelp(mode, modes[mode]) : formatHelp(modes));
+}
 
+async function runMode(mode, args, output) {
     if (!modes[mode]) {
-        throw new Error(`Invalid mode: ${mode}`);
+        throw usageError(`Invalid mode: ${mode}. Run node index.mjs --help for the list of modes.`);
     }
+    const ActionClass = modes[mode];
+    const { options, overrides } = parseModeArgs(mode, ActionClass, args);
 
     let configs = loadConfig();
-
     if (!Array.isArray(configs)) {
         configs = [configs];
     }
+    configs = selectConfigs(configs.map(configEntry => interpolateEnv(deepMerge(defaultConfig, configEntry))), args.config)
+        .map(config => applyConfigOverrides(config, overrides));
+
+    const action = new ActionClass(options);
+    for (const config of configs) {
+        // validateConfig reports the errors itself, every other mode refuses to start
+        const errors = mode === 'validateConfig' ? [] : validateConfig(config);
+        if (errors.length > 0) {
+            const error = new Error(`Invalid config entry ${config.name || config.aws.endpoint || 'AWS'} - ${[].concat(config.buckets).join(',')}:\n` +
+                `  - ${errors.join('\n  - ')}\nRun node index.mjs mode=validateConfig for details.`);
+            error.exitCode = exitCodes.config;
+            throw error;
+        }
+        const result = await action.run(config, options);
+        output.results.push({ config: describeConfig(config), result: result ?? null });
+    }
 
-    const action = new modes[mode](options);
+    await action.cleanup();
+}
+
+async function main(argv = process.argv.slice(2)) {
+    const json = argv.includes('--json') || argv.includes('json=true');
+    if (json) {
+        // stdout carries only the JSON document
+        ['log', 'info', 'debug', 'warn'].forEach(method => console[method] = console.error);
+    }
 
-    for (let config of configs) {
-        config = { ...defaultConfig, ...config };
-        if (!config.buckets || config.buckets.length === 0) {
-            throw new Error('No buckets configured. Please check your config files.');
+    const output = { mode: null, exitCode: exitCodes.success, results: [] };
+    try {
+        const args = parseCommandLine(argv);
+        output.mode = args.mode || 'schedulePrune';
+        if (args.help === 'true') {
+            printHelp(args.mode);
+            return;
         }
-        await action.run(config, args);
+        await runMode(output.mode, args, output);
+        output.exitCode = process.exitCode ?? exitCodes.success;
+    } catch (error) {
+        logger.error(error.exitCode ? error.message : error);
+        output.exitCode = error.exitCode ?? exitCodes.error;
+        output.error = error.message;
     }
 
-    await action.cleanup();
+    process.exitCode = output.exitCode;
+    if (json) {
+        process.stdout.write(`${JSON.stringify(output, null, 2)}\n`);
+    }
 }
 
 export {
     loadConfig,
     BackupObject,
+    validateBackupSets,
+    buildBackupChains,
     applyRetentionPolicy,
     listS3Objects,
     deleteS3Objects,
@@ -532,8 +715,4 @@ export {
     main
 };
 
-main();
-//findBlobs('sql-indexing', /.*Full\/USA.*-01.BAK/, '');
-//const csv = new ObjectsToCsv(final.finalTable);
-//await csv.toDisk('./output/backup-list.csv');
-//console.table(final.finalTable);
\ No newline at end of file
+main();
\ No newline at end of file
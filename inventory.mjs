@@ -0,0 +1,192 @@
+import { createReadStream, existsSync, readdirSync, readFileSync } from "fs";
+import { dirname, join } from "path";
+import { createGunzip } from "zlib";
+import { GetObjectCommand } from "@aws-sdk/client-s3";
+import parse from "csv-parse";
+import utility from "./utility.mjs";
+
+const pageSize = 1000;
+
+// s3://bucket/key, or null for a local path
+function parseS3Location(location) {
+    const match = /^s3:\/\/([^/]+)\/?(.*)$/.exec(location);
+    return match ? { bucket: match[1], key: match[2] } : null;
+}
+
+async function getS3Stream(s3Client, bucketName, key) {
+    const response = await s3Client.send(new GetObjectCommand({ Bucket: bucketName, Key: key }));
+    return response.Body;
+}
+
+async function streamToBuffer(stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+/**
+ * A location ending in "/" is the inventory configuration's folder; the newest dated
+ * <timestamp>/manifest.json below it is used, so a schedule always picks up the latest report.
+ */
+async function resolveManifestLocation(s3Client, location) {
+    if (!location.endsWith('/')) return location;
+
+    const s3Location = parseS3Location(location);
+    let manifests;
+    if (s3Location) {
+        manifests = (await utility.listS3Objects(s3Client, s3Location.bucket, s3Location.key))
+            .map(obj => obj.Key)
+            .filter(key => /^[^/]+\/manifest\.json$/.test(key.slice(s3Location.key.length)))
+            .map(key => `s3://${s3Location.bucket}/${key}`);
+    } else {
+        manifests = existsSync(location)
+            ? readdirSync(location)
+                .map(name => join(location, name, 'manifest.json'))
+                .filter(path => existsSync(path))
+            : [];
+    }
+
+    // Report folders are named after their timestamp, so the last one is the newest
+    const latest = manifests.sort().pop();
+    if (!latest) {
+        throw new Error(`No inventory manifest found under ${location}`);
+    }
+    return latest;
+}
+
+async function readManifest(s3Client, location) {
+    const s3Location = parseS3Location(location);
+    const content = s3Location
+        ? await streamToBuffer(await getS3Stream(s3Client, s3Location.bucket, s3Location.key))
+        : readFileSync(location);
+    return JSON.parse(content.toString('utf8'));
+}
+
+/**
+ * Where the data files of a manifest live. They are listed relative to the destination
+ * bucket, so a local copy is searched for under localRoot or the folders above the manifest.
+ */
+function createDataFileOpener(s3Client, manifest, manifestLocation, localRoot) {
+    if (parseS3Location(manifestLocation)) {
+        const bucketName = manifest.destinationBucket.replace(/^arn:aws:s3:::/, '');
+        return key => getS3Stream(s3Client, bucketName, key);
+    }
+
+    const roots = localRoot ? [localRoot] : [];
+    for (let dir = dirname(manifestLocation); !roots.includes(dir); dir = dirname(dir)) {
+        roots.push(dir);
+    }
+    return async key => {
+        const root = roots.find(dir => existsSync(join(dir, key)));
+        if (!root) {
+            throw new Error(`Inventory data file ${key} not found next to ${manifestLocation}`);
+        }
+        return createReadStream(join(root, key));
+    };
+}
+
+// CSV headers and Parquet columns name the same fields differently (LastModifiedDate, last_modified_date)
+function normalizeFieldName(name) {
+    return name.replace(/[_\s]/g, '').toLowerCase();
+}
+
+function toDate(value) {
+    if (value instanceof Date) return value;
+    if (typeof value === 'bigint') return new Date(Number(value));
+    return new Date(value);
+}
+
+/**
+ * Turn an inventory row into a listing entry. Returns null for rows that are not the
+ * current version of an object. CSV keys are URL-encoded and inventory ETags come
+ * without the quotes ListObjectsV2 returns, so both are brought in line with a live listing.
+ */
+function toListingObject(row, { urlEncodedKeys }) {
+    if (row.islatest !== undefined && String(row.islatest) !== 'true') return null;
+    if (row.isdeletemarker !== undefined && String(row.isdeletemarker) === 'true') return null;
+
+    const key = urlEncodedKeys ? decodeURIComponent(row.key.replace(/\+/g, ' ')) : row.key;
+    const etag = row.etag ? String(row.etag) : undefined;
+    return {
+        Key: key,
+        Size: Number(row.size || 0),
+        LastModified: row.lastmodifieddate ? toDate(row.lastmodifieddate) : undefined,
+        ETag: etag && !etag.startsWith('"') ? `"${etag}"` : etag,
+        StorageClass: row.storageclass || 'STANDARD'
+    };
+}
+
+async function* iterateCsvRows(stream, fileSchema, compressed) {
+    const columns = fileSchema.split(',').map(name => normalizeFieldName(name.trim()));
+    const parser = (compressed ? stream.pipe(createGunzip()) : stream).pipe(parse({ columns }));
+    for await (const row of parser) {
+        yield row;
+    }
+}
+
+async function* iterateParquetRows(stream) {
+    // Loaded on first use so the parquet reader is only required for Parquet inventories
+    const { ParquetReader } = await import('@dsnp/parquetjs');
+    const reader = await ParquetReader.openBuffer(await streamToBuffer(stream));
+    try {
+        const cursor = reader.getCursor();
+        let record;
+        while ((record = await cursor.next())) {
+            yield Object.fromEntries(Object.entries(record).map(([name, value]) => [normalizeFieldName(name), value]));
+        }
+    } finally {
+        await reader.close();
+    }
+}
+
+/**
+ * Listing pages for bucketName read from an S3 Inventory report instead of ListObjectsV2.
+ * manifestLocation is a local path or s3:// URL of manifest.json, or of the folder holding
+ * the dated reports ({bucket} is replaced with the bucket name).
+ */
+async function* iterateInventoryPages(s3Client, bucketName, { manifest: manifestLocation, localRoot, prefix = '' } = {}) {
+    if (!manifestLocation) {
+        throw new Error('listing.inventory.manifest is required for the inventory listing source');
+    }
+
+    const location = await resolveManifestLocation(s3Client, manifestLocation.replace(/\{bucket\}/g, bucketName));
+    const manifest = await readManifest(s3Client, location);
+    if (manifest.sourceBucket !== bucketName) {
+        throw new Error(`Inventory manifest ${location} is for bucket ${manifest.sourceBucket}, not ${bucketName}`);
+    }
+
+    const format = (manifest.fileFormat || '').toUpperCase();
+    if (format !== 'CSV' && format !== 'PARQUET') {
+        throw new Error(`Unsupported inventory format ${manifest.fileFormat} in ${location} (CSV and Parquet are supported)`);
+    }
+    console.log(`Reading ${format} inventory of ${bucketName} from ${location} (${manifest.files.length} data files)`);
+
+    const openDataFile = createDataFileOpener(s3Client, manifest, location, localRoot);
+    let page = [];
+    for (const file of manifest.files) {
+        const stream = await openDataFile(file.key);
+        const rows = format === 'CSV'
+            ? iterateCsvRows(stream, manifest.fileSchema, file.key.endsWith('.gz'))
+            : iterateParquetRows(stream);
+
+        for await (const row of rows) {
+            const obj = toListingObject(row, { urlEncodedKeys: format === 'CSV' });
+            if (!obj || !obj.Key.startsWith(prefix)) continue;
+
+            page.push(obj);
+            if (page.length >= pageSize) {
+                yield page;
+                page = [];
+            }
+        }
+    }
+    if (page.length > 0) {
+        yield page;
+    }
+}
+
+export {
+    iterateInventoryPages
+};
@@ -0,0 +1,57 @@
+import { openSync, writeSync, closeSync, renameSync, rmSync, readFileSync } from "fs";
+
+/**
+ * Write a listing as a JSON array page by page instead of stringifying millions of
+ * objects at once. The file only replaces the previous listing on close(), so a run
+ * that dies halfway never leaves a truncated listing for the guardrails to compare.
+ */
+function createListingWriter(filename) {
+    const tempFilename = `${filename}.tmp`;
+    const fd = openSync(tempFilename, 'w');
+    let first = true;
+
+    writeSync(fd, '[');
+    return {
+        write(objects) {
+            if (objects.length === 0) return;
+            writeSync(fd, `${first ? '' : ','}\n${objects.map(obj => JSON.stringify(obj)).join(',\n')}`);
+            first = false;
+        },
+        close() {
+            writeSync(fd, '\n]\n');
+            closeSync(fd);
+            renameSync(tempFilename, filename);
+        },
+        abort() {
+            closeSync(fd);
+            rmSync(tempFilename, { force: true });
+        }
+    };
+}
+
+function writeListingFile(filename, objects, pageSize = 10000) {
+    const writer = createListingWriter(filename);
+    try {
+        for (let i = 0; i < objects.length; i += pageSize) {
+            writer.write(objects.slice(i, i + pageSize));
+        }
+        writer.close();
+    } catch (error) {
+        writer.abort();
+        throw error;
+    }
+}
+
+function readListingFile(filename) {
+    const objects = JSON.parse(readFileSync(filename, 'utf8'));
+    if (!Array.isArray(objects)) {
+        throw new Error(`${filename} is not a saved listing (expected a JSON array of objects)`);
+    }
+    return objects;
+}
+
+export {
+    readListingFile,
+    createListingWriter,
+    writeListingFile
+};
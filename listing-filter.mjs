@@ -0,0 +1,26 @@
+import { isQuarantineKey } from "./quarantine.mjs";
+import { defaultLockKey } from "./prune-lock.mjs";
+import { defaultSidecarExtensions, createSidecarResolver } from "./verification.mjs";
+
+function getSidecarExtensions(config) {
+    return config.verify?.sidecarExtensions || defaultSidecarExtensions;
+}
+
+// Quarantined copies kept in the bucket and the prune lock are listed with the backups
+// but are never backups themselves
+function createBackupKeyFilter(config, bucketName) {
+    const lockKey = config.lock?.enabled ? config.lock.key || defaultLockKey : null;
+    return key => key !== lockKey && !isQuarantineKey(config.quarantine, bucketName, key);
+}
+
+// Checksum sidecars share their backup's name, so they would parse as another part of it
+function withoutSidecars(objects, config) {
+    const resolveSidecar = createSidecarResolver(new Set(objects.map(obj => obj.Key)), getSidecarExtensions(config));
+    return objects.filter(obj => !resolveSidecar(obj.Key));
+}
+
+export {
+    getSidecarExtensions,
+    createBackupKeyFilter,
+    withoutSidecars
+};
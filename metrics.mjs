@@ -0,0 +1,156 @@
+import http from "http";
+import { buildRunSummary } from "./notifications.mjs";
+
+const metricDefinitions = {
+    s3_backup_newest_timestamp_seconds: { type: 'gauge', help: 'Time of the newest backup per database and backup type' },
+    s3_backup_count: { type: 'gauge', help: 'Backup objects per database and backup type after the last run' },
+    s3_backup_bytes: { type: 'gauge', help: 'Bytes of backup objects per database and backup type after the last run' },
+    s3_backup_last_run_retained: { type: 'gauge', help: 'Backup objects retained per database by the last run' },
+    s3_backup_last_run_deleted: { type: 'gauge', help: 'Backup objects deleted (or quarantined) per database by the last run' },
+    s3_backup_bucket_success: { type: 'gauge', help: '0 when the last run failed on the bucket or could not delete from it' },
+    s3_backup_deletion_failures_total: { type: 'counter', help: 'Objects that could not be deleted, quarantined or transitioned' },
+    s3_backup_prune_runs_total: { type: 'counter', help: 'Prune runs by outcome' },
+    s3_backup_prune_duration_seconds: { type: 'summary', help: 'Duration of prune runs' },
+    s3_backup_prune_last_run_timestamp_seconds: { type: 'gauge', help: 'End of the last prune run' },
+    s3_backup_prune_last_success_timestamp_seconds: { type: 'gauge', help: 'End of the last prune run without errors' }
+};
+
+// metric name -> Map of serialized labels -> { labels, value }
+const series = new Map();
+const servers = new Map();
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function getSeries(name) {
+    if (!series.has(name)) series.set(name, new Map());
+    return series.get(name);
+}
+
+function setGauge(name, labels, value) {
+    getSeries(name).set(formatLabels(labels), { labels, value });
+}
+
+function incrementCounter(name, labels, amount = 1) {
+    const entries = getSeries(name);
+    const id = formatLabels(labels);
+    entries.set(id, { labels, value: (entries.get(id)?.value || 0) + amount });
+}
+
+// Drop a bucket's per-database series before recording it again, so deleted databases disappear
+function clearBucketSeries(bucketName) {
+    series.forEach(entries => entries.forEach((entry, id) => {
+        if (entry.labels.bucket === bucketName && entry.labels.object !== undefined) entries.delete(id);
+    }));
+}
+
+function renderMetrics() {
+    return Object.entries(metricDefinitions).flatMap(([name, { type, help }]) => {
+        const entries = [...(series.get(name)?.values() || [])];
+        if (entries.length === 0) return [];
+        return [
+            `# HELP ${name} ${help}`,
+            `# TYPE ${name} ${type}`,
+            ...entries.map(({ labels, value }) => {
+                // Summaries keep their _sum and _count as a hidden "suffix" label
+                const { suffix = '', ...rest } = labels;
+                return `${name}${suffix}${formatLabels(rest)} ${value}`;
+            })
+        ];
+    }).join('\n') + '\n';
+}
+
+function recordBucketState(bucketName, result) {
+    const deletedKeys = new Set(result.deletionResult?.successful || []);
+    const byObjectType = new Map();
+    const byObject = new Map();
+
+    (result.decisions || []).forEach(decision => {
+        if (decision.decision === 'ignore') return;
+
+        const objectStats = byObject.get(decision.objectName) || { retained: 0, deleted: 0 };
+        byObject.set(decision.objectName, objectStats);
+        if (decision.decision === 'retain') objectStats.retained++;
+        if (deletedKeys.has(decision.key)) {
+            objectStats.deleted++;
+            return;
+        }
+
+        const id = JSON.stringify([decision.objectName, decision.type]);
+        const stats = byObjectType.get(id) || { object: decision.objectName, type: decision.type, count: 0, bytes: 0, newest: 0 };
+        byObjectType.set(id, stats);
+        stats.count++;
+        stats.bytes += decision.size || 0;
+        stats.newest = Math.max(stats.newest, Date.parse(decision.datetime) / 1000);
+    });
+
+    clearBucketSeries(bucketName);
+    byObjectType.forEach(({ object, type, count, bytes, newest }) => {
+        const labels = { bucket: bucketName, object, type };
+        setGauge('s3_backup_count', labels, count);
+        setGauge('s3_backup_bytes', labels, bytes);
+        setGauge('s3_backup_newest_timestamp_seconds', labels, newest);
+    });
+    byObject.forEach(({ retained, deleted }, object) => {
+        setGauge('s3_backup_last_run_retained', { bucket: bucketName, object }, retained);
+        setGauge('s3_backup_last_run_deleted', { bucket: bucketName, object }, deleted);
+    });
+}
+
+/**
+ * Update the metrics after a prune run of a config entry. Buckets that failed keep the
+ * series of their last good run, so freshness alerts still fire while the pruner is broken.
+ */
+function recordPruneRun(config, results, { durationSeconds, error } = {}) {
+    const summary = buildRunSummary(config, results, error);
+    const configLabel = config.name || config.buckets.join(',');
+    const now = Date.now() / 1000;
+
+    summary.byBucket.forEach(bucket => {
+        const result = results.byBucket[bucket.bucket];
+        if (result?.decisions) {
+            recordBucketState(bucket.bucket, result);
+        }
+        setGauge('s3_backup_bucket_success', { bucket: bucket.bucket }, bucket.status === 'error' ? 0 : 1);
+        incrementCounter('s3_backup_deletion_failures_total', { bucket: bucket.bucket }, bucket.failedCount);
+    });
+
+    incrementCounter('s3_backup_prune_runs_total', { config: configLabel, status: summary.status });
+    incrementCounter('s3_backup_prune_duration_seconds', { config: configLabel, suffix: '_sum' }, durationSeconds);
+    incrementCounter('s3_backup_prune_duration_seconds', { config: configLabel, suffix: '_count' });
+    setGauge('s3_backup_prune_last_run_timestamp_seconds', { config: configLabel }, now);
+    if (summary.status !== 'error') {
+        setGauge('s3_backup_prune_last_success_timestamp_seconds', { config: configLabel }, now);
+    }
+}
+
+// One server per port, however many config entries ask for it
+function startMetricsServer({ host = '0.0.0.0', port = 9464, path = '/metrics' } = {}) {
+    if (servers.has(port)) return servers.get(port);
+
+    const server = http.createServer((request, response) => {
+        if (request.method !== 'GET' || request.url.split('?')[0] !== path) {
+            response.writeHead(404).end();
+            return;
+        }
+        response.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+        response.end(renderMetrics());
+    });
+    server.on('error', error => console.error(`Metrics server on port ${port} failed:`, error.message));
+    server.listen(port, host, () => console.log(`Metrics available at http://${host}:${port}${path}`));
+    servers.set(port, server);
+    return server;
+}
+
+export {
+    recordPruneRun,
+    renderMetrics,
+    startMetricsServer
+};
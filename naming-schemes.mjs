@@ -0,0 +1,144 @@
+import dayjs from 'dayjs';
+import customParseFormat from 'dayjs/plugin/customParseFormat.js';
+import utc from 'dayjs/plugin/utc.js';
+import timezone from 'dayjs/plugin/timezone.js';
+
+dayjs.extend(customParseFormat);
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+// Built-in naming schemes. Each one is a regex with named groups (objectName, date,
+// time, type, part) plus the dayjs formats used to parse the date and time groups.
+const presets = {
+    // <prefix>-<Type>/<name>_YYYYMMDD_HHMMSS-<x>[-part].ext
+    default: {
+        pattern: '^(?:.*/)?[^/]*-(?<type>[^/-]+)/(?<objectName>[^/]+)_(?<date>\\d{8})_(?<time>\\d{6})-\\w+(?:-(?<part>\\d+))?\\.[^/]*$',
+        dateFormat: 'YYYYMMDD',
+        timeFormat: 'HHmmss'
+    },
+    // Ola Hallengren DatabaseBackup: SERVER$INSTANCE_Database_FULL_YYYYMMDD_HHMMSS[_n].bak
+    olaHallengren: {
+        pattern: '^(?:.*/)?[^/_]+_(?<objectName>[^/]+)_(?<type>FULL|DIFF|LOG)(?:_PARTIAL)?(?:_COPY_ONLY)?_(?<date>\\d{8})_(?<time>\\d{6})(?:_(?<part>\\d+))?\\.(?:bak|trn)$',
+        flags: 'i',
+        dateFormat: 'YYYYMMDD',
+        timeFormat: 'HHmmss'
+    },
+    // pg_dump: <database>_YYYY-MM-DD[_HH-mm-ss].dump|backup|tar|sql[.gz]
+    pgDump: {
+        pattern: '^(?:.*/)?(?<objectName>[^/]+?)_(?<date>\\d{4}-\\d{2}-\\d{2})(?:[_T](?<time>\\d{2}-\\d{2}-\\d{2}))?\\.(?:dump|backup|tar|sql)(?:\\.(?:gz|bz2|xz|zst))?$',
+        dateFormat: 'YYYY-MM-DD',
+        timeFormat: 'HH-mm-ss',
+        type: 'full'
+    },
+    // mysqldump: <database>_YYYYMMDD_HHMMSS.sql[.gz]
+    mysqldump: {
+        pattern: '^(?:.*/)?(?<objectName>[^/]+?)_(?<date>\\d{8})_(?<time>\\d{6})\\.sql(?:\\.(?:gz|bz2|xz|zst))?$',
+        dateFormat: 'YYYYMMDD',
+        timeFormat: 'HHmmss',
+        type: 'full'
+    },
+    // Veeam: <job or VM>D2025-01-31T220024_8F3D.vbk|vib|vrb
+    veeam: {
+        pattern: '^(?:.*/)?(?<objectName>[^/]+?)\\s?D(?<date>\\d{4}-\\d{2}-\\d{2})T(?<time>\\d{6})_\\w+\\.(?<type>vbk|vib|vrb)$',
+        flags: 'i',
+        dateFormat: 'YYYY-MM-DD',
+        timeFormat: 'HHmmss',
+        types: {
+            vbk: 'full',
+            vib: 'incremental',
+            vrb: 'diff'
+        }
+    }
+};
+
+function parseTimestamp(value, format, timezone) {
+    // Strict parse first: dayjs.tz does not reject out-of-range values
+    const local = dayjs(value, format, true);
+    if (!timezone || !local.isValid()) return local;
+    return dayjs.tz(value, format, timezone);
+}
+
+function compileNamingScheme(scheme = {}, defaultTimezone) {
+    const base = scheme.preset ? presets[scheme.preset] : presets.default;
+    if (!base) {
+        throw new Error(`Unknown naming scheme preset: ${scheme.preset}`);
+    }
+
+    const {
+        pattern,
+        flags = '',
+        dateFormat,
+        timeFormat,
+        type,
+        types = {},
+        timezone = defaultTimezone
+    } = { ...base, ...scheme };
+
+    const regex = pattern instanceof RegExp ? pattern : new RegExp(pattern, flags);
+    const typeMap = Object.fromEntries(
+        Object.entries(types).map(([from, to]) => [from.toLowerCase(), to.toLowerCase()])
+    );
+
+    return {
+        name: scheme.name || scheme.preset || 'default',
+        parse(key) {
+            const matches = key.match(regex);
+            if (!matches || !matches.groups) return null;
+
+            const groups = matches.groups;
+            if (!groups.objectName || !groups.date) return null;
+
+            const datetime = groups.time
+                ? parseTimestamp(`${groups.date} ${groups.time}`, `${dateFormat} ${timeFormat}`, timezone)
+                : parseTimestamp(groups.date, dateFormat, timezone);
+
+            const rawType = (groups.type || type || '').toLowerCase();
+
+            return {
+                objectName: groups.objectName,
+                dateTimeStr: `${groups.date}${groups.time || ''}`,
+                datetime,
+                type: typeMap[rawType] || rawType,
+                part: groups.part
+            };
+        }
+    };
+}
+
+const defaultNamingScheme = compileNamingScheme();
+
+function createNamingSchemeResolver(namingSchemes = [], timezone) {
+    // First matching rule wins; rules without a bucket or prefix match everything
+    const rules = namingSchemes.map(rule => ({
+        bucket: rule.bucket,
+        prefix: rule.prefix,
+        scheme: compileNamingScheme(rule, timezone)
+    }));
+    const fallback = timezone ? compileNamingScheme({}, timezone) : defaultNamingScheme;
+
+    return (bucketName, key) => {
+        const rule = rules.find(({ bucket, prefix }) =>
+            (!bucket || bucket === bucketName) && (!prefix || key.startsWith(prefix))
+        );
+        return rule ? rule.scheme : fallback;
+    };
+}
+
+// A date/time given on the command line; explicit offsets win, anything else is read in the timezone
+function parsePointInTime(at, timezone) {
+    if (!at) return timezone ? dayjs().tz(timezone) : dayjs();
+    const hasOffset = /(Z|[+-]\d{2}:?\d{2})$/i.test(at);
+    const datetime = timezone && !hasOffset ? dayjs.tz(at, timezone) : dayjs(at);
+    if (!datetime.isValid()) {
+        throw new Error(`Invalid point in time: ${at} (use e.g. 2025-03-01T14:30:00)`);
+    }
+    return timezone && hasOffset ? datetime.tz(timezone) : datetime;
+}
+
+export {
+    presets,
+    compileNamingScheme,
+    createNamingSchemeResolver,
+    defaultNamingScheme,
+    parsePointInTime
+};
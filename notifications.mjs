@@ -0,0 +1,198 @@
+import http from "http";
+import https from "https";
+import nodemailer from "nodemailer";
+
+// Failures listed per bucket in a notification; the retention report has the rest
+const maxListedFailures = 20;
+const requestTimeoutMs = 10000;
+
+function getBucketStatus(bucketName, result, totalSummary) {
+    if (!result) return 'error';
+    if (totalSummary.busyBuckets.includes(bucketName)) return 'busy';
+    if (result.error || result.deletionResult?.failed.length > 0 || result.tiering?.result?.failed.length > 0) {
+        return 'error';
+    }
+    if (result.deletionAborted) return 'aborted';
+    return 'ok';
+}
+
+function summarizeBucket(bucketName, result, totalSummary) {
+    const failures = [
+        ...(result?.deletionResult?.failed || []),
+        ...(result?.tiering?.result?.failed || [])
+    ];
+    return {
+        bucket: bucketName,
+        status: getBucketStatus(bucketName, result, totalSummary),
+        error: result?.error,
+        totalBackups: result?.summary?.totalBackups ?? 0,
+        retainedCount: result?.summary?.retainedCount ?? 0,
+        deleteCount: result?.summary?.deleteCount ?? 0,
+        deletedCount: result?.deletionResult?.successful.length ?? 0,
+        transitionedCount: result?.tiering?.result?.successful.length ?? 0,
+        failedCount: failures.length,
+        failures: failures.slice(0, maxListedFailures).map(({ key, error }) => ({ key, error })),
+        guardrailViolations: result?.guardrailViolations || []
+    };
+}
+
+/**
+ * What a notification reports about one prune run of a config entry. A run that threw
+ * before producing results is summarized from the error alone.
+ */
+function buildRunSummary(config, results, error) {
+    const buckets = results
+        ? Object.entries(results.byBucket).map(([bucketName, result]) => summarizeBucket(bucketName, result, results.totalSummary))
+        : [];
+    const statuses = buckets.map(bucket => bucket.status);
+
+    let status = 'ok';
+    if (error || statuses.includes('error')) {
+        status = 'error';
+    } else if (statuses.some(bucketStatus => bucketStatus !== 'ok')) {
+        status = 'warning';
+    }
+
+    return {
+        name: config.name || null,
+        endpoint: config.aws?.endpoint || null,
+        buckets: config.buckets,
+        dryRun: !!config.dryRun,
+        status,
+        error: error?.message,
+        totalSummary: results?.totalSummary,
+        byBucket: buckets,
+        finishedAt: new Date().toISOString()
+    };
+}
+
+// "errors" covers failed buckets, deletion failures, guardrail aborts and busy buckets;
+// "changes" adds runs that deleted or transitioned anything
+function shouldNotify(when, summary) {
+    switch (when) {
+        case 'always':
+            return true;
+        case 'changes':
+            return summary.status !== 'ok' ||
+                summary.byBucket.some(bucket => bucket.deletedCount > 0 || bucket.transitionedCount > 0);
+        case 'errors':
+            return summary.status !== 'ok';
+        default:
+            throw new Error(`Unknown notification rule: ${when}`);
+    }
+}
+
+function formatTitle(summary) {
+    const label = summary.name || `${summary.endpoint || 'AWS'} - ${summary.buckets.join(', ')}`;
+    return `Backup prune ${summary.status.toUpperCase()}: ${label}${summary.dryRun ? ' (dry run)' : ''}`;
+}
+
+function formatLines(summary) {
+    if (summary.error) {
+        return [`Run failed: ${summary.error}`];
+    }
+    return summary.byBucket.flatMap(bucket => [
+        `${bucket.bucket}: ${bucket.status}${bucket.error ? ` - ${bucket.error}` : ''}, ` +
+            `${bucket.retainedCount} retained, ${bucket.deleteCount} to delete, ${bucket.deletedCount} deleted` +
+            `${bucket.failedCount ? `, ${bucket.failedCount} failed` : ''}`,
+        ...bucket.guardrailViolations.map(violation => `  guardrail: ${violation}`),
+        ...bucket.failures.map(failure => `  failed: ${failure.key} - ${failure.error}`)
+    ]);
+}
+
+function postJson(url, body, headers = {}) {
+    const payload = JSON.stringify(body);
+    const client = url.startsWith('https:') ? https : http;
+
+    return new Promise((resolve, reject) => {
+        const request = client.request(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(payload),
+                ...headers
+            },
+            timeout: requestTimeoutMs
+        }, response => {
+            response.resume();
+            response.on('end', () => response.statusCode >= 200 && response.statusCode < 300
+                ? resolve(response.statusCode)
+                : reject(new Error(`${url} answered with HTTP ${response.statusCode}`)));
+        });
+        request.on('timeout', () => request.destroy(new Error(`${url} did not answer within ${requestTimeoutMs / 1000}s`)));
+        request.on('error', reject);
+        request.end(payload);
+    });
+}
+
+const notifiers = {
+    webhook: (notifier, summary) => postJson(notifier.url, { event: 'prune', ...summary }, notifier.headers),
+
+    // Incoming webhooks of Slack and compatible chats (Mattermost, Rocket.Chat) take plain mrkdwn text
+    slack: (notifier, summary) => postJson(notifier.url, {
+        text: [`*${formatTitle(summary)}*`, ...formatLines(summary)].join('\n')
+    }, notifier.headers),
+
+    teams: (notifier, summary) => postJson(notifier.url, {
+        type: 'message',
+        attachments: [{
+            contentType: 'application/vnd.microsoft.card.adaptive',
+            content: {
+                $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+                type: 'AdaptiveCard',
+                version: '1.4',
+                body: [
+                    { type: 'TextBlock', text: formatTitle(summary), weight: 'Bolder', size: 'Medium', wrap: true },
+                    ...formatLines(summary).map(text => ({ type: 'TextBlock', text, wrap: true, spacing: 'None' }))
+                ]
+            }
+        }]
+    }, notifier.headers),
+
+    email: async (notifier, summary) => {
+        const transport = nodemailer.createTransport(notifier.smtp);
+        try {
+            await transport.sendMail({
+                from: notifier.from,
+                to: notifier.to,
+                subject: notifier.subject || formatTitle(summary),
+                text: [...formatLines(summary), '', JSON.stringify(summary, null, 2)].join('\n')
+            });
+        } finally {
+            transport.close();
+        }
+    }
+};
+
+/**
+ * Send the outcome of a prune run to every configured notifier whose rule matches.
+ * A notifier that fails is logged and never fails the run itself.
+ */
+async function sendRunNotifications(config, results, error) {
+    const { when: defaultWhen = 'errors', notifiers: configured = [] } = config.notifications || {};
+    if (configured.length === 0) return [];
+
+    const summary = buildRunSummary(config, results, error);
+    return Promise.all(configured.map(async notifier => {
+        const name = notifier.name || notifier.type;
+        try {
+            if (!notifiers[notifier.type]) {
+                throw new Error(`Unknown notifier type: ${notifier.type}`);
+            }
+            if (!shouldNotify(notifier.when || defaultWhen, summary)) {
+                return { notifier: name, sent: false };
+            }
+            await notifiers[notifier.type](notifier, summary);
+            return { notifier: name, sent: true };
+        } catch (sendError) {
+            console.error(`Error sending ${name} notification:`, sendError.message);
+            return { notifier: name, sent: false, error: sendError.message };
+        }
+    }));
+}
+
+export {
+    buildRunSummary,
+    shouldNotify,
+    sendRunNotifications
+};
@@ -0,0 +1,107 @@
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import {
+    GetObjectRetentionCommand,
+    GetObjectLegalHoldCommand
+} from "@aws-sdk/client-s3";
+import utility from "./utility.mjs";
+
+const defaultLookupConcurrency = 8;
+
+// Objects with no lock configuration answer with an error rather than an empty result
+const noLockErrors = new Set([
+    'NoSuchObjectLockConfiguration',
+    'ObjectLockConfigurationNotFoundError'
+]);
+
+// Without a versionId this is the lock of the current version
+async function getObjectLock(s3Client, bucketName, key, versionId) {
+    const lock = { mode: null, retainUntil: null, legalHold: false };
+
+    try {
+        const response = await s3Client.send(new GetObjectRetentionCommand({ Bucket: bucketName, Key: key, VersionId: versionId }));
+        lock.mode = response.Retention?.Mode || null;
+        lock.retainUntil = response.Retention?.RetainUntilDate
+            ? new Date(response.Retention.RetainUntilDate).toISOString()
+            : null;
+    } catch (error) {
+        if (!noLockErrors.has(error.name)) throw error;
+    }
+
+    try {
+        const response = await s3Client.send(new GetObjectLegalHoldCommand({ Bucket: bucketName, Key: key, VersionId: versionId }));
+        lock.legalHold = response.LegalHold?.Status === 'ON';
+    } catch (error) {
+        if (!noLockErrors.has(error.name)) throw error;
+    }
+
+    return lock;
+}
+
+function getLockReason(lock, { bypassGovernanceRetention = false, now = new Date() } = {}) {
+    if (lock.legalHold) return 'legal hold';
+    if (!lock.retainUntil || new Date(lock.retainUntil) <= now) return null;
+    if (lock.mode === 'GOVERNANCE' && bypassGovernanceRetention) return null;
+    return `locked until ${lock.retainUntil} (${lock.mode})`;
+}
+
+function readRequeue(requeueFile) {
+    if (!requeueFile || !existsSync(requeueFile)) return {};
+    try {
+        return JSON.parse(readFileSync(requeueFile, 'utf8'));
+    } catch (e) {
+        return {};
+    }
+}
+
+// Versions of one key carry their own locks, so the requeue file tells them apart
+function getLockId({ key, versionId }) {
+    return versionId ? `${key}?versionId=${versionId}` : key;
+}
+
+/**
+ * Split delete candidates into deletable and locked ones. Candidates with a versionId are
+ * checked for that version. Keys found locked on an earlier run (the requeue file) are not
+ * looked up again until their retention date passes; legal holds can be lifted at any
+ * time, so those are always re-checked.
+ */
+async function filterLockedObjects(s3Client, bucketName, backups, options = {}) {
+    const { requeueFile, now = new Date(), concurrency = defaultLookupConcurrency } = options;
+    const requeued = readRequeue(requeueFile);
+
+    const checks = await utility.mapWithConcurrency(backups, concurrency, async backup => {
+        let lock = requeued[getLockId(backup)];
+        if (!lock || lock.legalHold || !getLockReason(lock, options)) {
+            try {
+                lock = await getObjectLock(s3Client, bucketName, backup.key, backup.versionId);
+            } catch (error) {
+                // Unknown lock state - never delete on a guess
+                return { backup, lock: null, reason: `lock status unknown: ${error.message}` };
+            }
+        }
+        return { backup, lock, reason: getLockReason(lock, { ...options, now }) };
+    });
+
+    const stillLocked = {};
+    const deletable = [];
+    const locked = [];
+    checks.forEach(({ backup, lock, reason }) => {
+        if (!reason) {
+            deletable.push(backup);
+            return;
+        }
+        locked.push({ ...backup, reason, ...lock });
+        if (lock) stillLocked[getLockId(backup)] = lock;
+    });
+
+    if (requeueFile) {
+        writeFileSync(requeueFile, JSON.stringify(stillLocked, null, 2));
+    }
+
+    return { deletable, locked };
+}
+
+export {
+    getObjectLock,
+    getLockReason,
+    filterLockedObjects
+};
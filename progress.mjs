@@ -0,0 +1,33 @@
+/**
+ * Periodic "listed / evaluated / deleted" lines for one bucket, so long runs show
+ * they are moving. update() is cheap enough to call per page or per object; it
+ * only logs once every intervalSeconds. An interval of 0 turns progress off.
+ */
+function createProgressReporter(label, { intervalSeconds = 10, logger = console } = {}) {
+    const counts = { listed: 0, evaluated: 0, deleted: 0 };
+    const startedAt = Date.now();
+    let lastReportAt = startedAt;
+
+    const report = () => {
+        const elapsed = Math.round((Date.now() - startedAt) / 1000);
+        logger.info(`[${label}] listed ${counts.listed}, evaluated ${counts.evaluated}, deleted ${counts.deleted} (${elapsed}s)`);
+        lastReportAt = Date.now();
+    };
+
+    return {
+        counts,
+        update(changes) {
+            Object.assign(counts, changes);
+            if (intervalSeconds > 0 && Date.now() - lastReportAt >= intervalSeconds * 1000) {
+                report();
+            }
+        },
+        done() {
+            if (intervalSeconds > 0) report();
+        }
+    };
+}
+
+export {
+    createProgressReporter
+};
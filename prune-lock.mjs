@@ -0,0 +1,161 @@
+import os from 'os';
+import { randomUUID } from 'crypto';
+import {
+    GetObjectCommand,
+    PutObjectCommand,
+    DeleteObjectCommand
+} from "@aws-sdk/client-s3";
+
+const defaultLockKey = '.s3-backup-policy-manager.lock';
+
+function isPreconditionFailed(error) {
+    // 409 when a concurrent conditional write to the same key is still in flight
+    return error.name === 'PreconditionFailed' ||
+        error.name === 'ConditionalRequestConflict' ||
+        [409, 412].includes(error.$metadata?.httpStatusCode);
+}
+
+// The lock body with the ETag of the object, so a takeover can be made conditional on it
+async function readLock(s3Client, bucketName, key) {
+    try {
+        const response = await s3Client.send(new GetObjectCommand({ Bucket: bucketName, Key: key }));
+        return { holder: JSON.parse(await response.Body.transformToString()), etag: response.ETag };
+    } catch (error) {
+        if (error.name === 'NoSuchKey') return { holder: null, etag: null };
+        throw error;
+    }
+}
+
+// IfNoneMatch makes S3 refuse the write when the lock object already exists; with the
+// ETag of a stale lock (or our own, when renewing), IfMatch refuses it when another instance
+// replaced that lock first.
+// Returns { etag } of the written lock, or null when the condition failed
+async function createLock(s3Client, bucketName, key, lock, staleEtag = null) {
+    try {
+        const response = await s3Client.send(new PutObjectCommand({
+            Bucket: bucketName,
+            Key: key,
+            Body: JSON.stringify(lock, null, 2),
+            ContentType: 'application/json',
+            ...(staleEtag ? { IfMatch: staleEtag } : { IfNoneMatch: '*' })
+        }));
+        return { etag: response.ETag };
+    } catch (error) {
+        if (isPreconditionFailed(error)) return null;
+        throw error;
+    }
+}
+
+function expiresAt(from, ttlMinutes) {
+    return new Date(from.getTime() + ttlMinutes * 60 * 1000).toISOString();
+}
+
+/**
+ * Take the prune lock of a bucket. Returns { acquired: true, lock, etag } or
+ * { acquired: false, holder } with the lock of the instance currently pruning.
+ * A lock past its expiresAt was left by a run that died and is taken over.
+ */
+async function acquirePruneLock(s3Client, bucketName, { key = defaultLockKey, ttlMinutes = 120 } = {}) {
+    const now = new Date();
+    const lock = {
+        bucket: bucketName,
+        key,
+        owner: `${os.hostname()}:${process.pid}:${randomUUID()}`,
+        acquiredAt: now.toISOString(),
+        expiresAt: expiresAt(now, ttlMinutes)
+    };
+
+    const created = await createLock(s3Client, bucketName, key, lock);
+    if (created) {
+        return { acquired: true, lock, etag: created.etag };
+    }
+
+    const { holder, etag } = await readLock(s3Client, bucketName, key);
+    if (holder && new Date(holder.expiresAt) > now) {
+        return { acquired: false, holder };
+    }
+
+    // Overwrite the expired lock only if it is still the one we read; an instance that
+    // took it over in the meantime wins and we report its lock as the holder
+    if (holder) {
+        console.warn(`Taking over expired prune lock of ${holder.owner} in ${bucketName}`);
+    }
+    const takenOver = await createLock(s3Client, bucketName, key, lock, etag);
+    if (takenOver) {
+        return { acquired: true, lock, etag: takenOver.etag };
+    }
+    return { acquired: false, holder: (await readLock(s3Client, bucketName, key)).holder };
+}
+
+/**
+ * Keep a held lock from expiring while the run goes on. The lock is rewritten with a new
+ * expiresAt every third of its TTL and on each renew() call, always with If-Match on the
+ * ETag of our own last write, so a lock another instance took over is never overwritten.
+ * Once that condition fails the lock is lost and renew() throws; callers renew before each
+ * phase so they stop instead of working alongside the new holder. stop() ends the timer
+ * and waits for a renewal still in flight, so it cannot race the release.
+ */
+function keepPruneLock(s3Client, lock, etag, { ttlMinutes = 120 } = {}) {
+    let currentEtag = etag;
+    let lost = false;
+    let pending = Promise.resolve();
+
+    const write = async () => {
+        if (lost) {
+            throw new Error(`Prune lock in ${lock.bucket} was lost to another instance`);
+        }
+        // Without an ETag the write could not be conditional
+        if (!currentEtag) {
+            throw new Error(`No ETag for the prune lock in ${lock.bucket}, cannot renew it`);
+        }
+        lock.expiresAt = expiresAt(new Date(), ttlMinutes);
+        const renewed = await createLock(s3Client, lock.bucket, lock.key, lock, currentEtag);
+        if (!renewed) {
+            lost = true;
+            throw new Error(`Prune lock in ${lock.bucket} was taken over by another instance`);
+        }
+        currentEtag = renewed.etag;
+    };
+    // One write at a time, each needs the ETag of the one before
+    const renew = () => {
+        pending = pending.catch(() => {}).then(write);
+        return pending;
+    };
+
+    const timer = setInterval(() => {
+        renew().catch(error => console.warn(`Could not renew prune lock in ${lock.bucket}:`, error.message));
+    }, ttlMinutes * 60 * 1000 / 3);
+    timer.unref();
+
+    return {
+        renew,
+        stop: async () => {
+            clearInterval(timer);
+            await pending.catch(() => {});
+        }
+    };
+}
+
+async function releasePruneLock(s3Client, lock) {
+    const { holder, etag } = await readLock(s3Client, lock.bucket, lock.key);
+    // Never remove a lock another instance took over after ours expired
+    if (holder?.owner !== lock.owner) {
+        console.warn(`Prune lock in ${lock.bucket} is no longer ours, leaving it in place`);
+        return false;
+    }
+    try {
+        await s3Client.send(new DeleteObjectCommand({ Bucket: lock.bucket, Key: lock.key, IfMatch: etag }));
+    } catch (error) {
+        if (!isPreconditionFailed(error)) throw error;
+        console.warn(`Prune lock in ${lock.bucket} was taken over while releasing it, leaving it in place`);
+        return false;
+    }
+    return true;
+}
+
+export {
+    defaultLockKey,
+    acquirePruneLock,
+    keepPruneLock,
+    releasePruneLock
+};
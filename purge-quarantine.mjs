@@ -0,0 +1,56 @@
+import dayjs from 'dayjs';
+import utility from "./utility.mjs";
+import ActionBase from "./action-base.mjs";
+import { listQuarantinedObjects } from "./quarantine.mjs";
+
+class PurgeQuarantine extends ActionBase {
+
+    static description = 'Permanently delete quarantined backups older than quarantine.purgeAfterDays';
+    static args = {
+        days: { type: 'number', description: 'Override quarantine.purgeAfterDays' }
+    };
+
+    constructor({ days, logger = console }) {
+        super();
+        this.logger = logger;
+        this.days = days !== undefined ? Number(days) : undefined;
+    }
+
+    async run(config) {
+        const days = this.days ?? config.quarantine?.purgeAfterDays ?? 30;
+        if (!Number.isFinite(days) || days < 0) {
+            throw new Error(`Invalid days: ${this.days}`);
+        }
+        const cutoff = dayjs().subtract(days, 'day');
+
+        const s3Client = utility.createS3Client(config);
+        const purged = {};
+        try {
+            for (const bucketName of config.buckets) {
+                const quarantined = await listQuarantinedObjects(s3Client, config.quarantine, bucketName);
+                // A copy's LastModified is the moment it was quarantined
+                const expired = quarantined.filter(obj => dayjs(obj.LastModified).isBefore(cutoff));
+                this.logger.info(`${bucketName}: ${expired.length} of ${quarantined.length} quarantined objects are older than ${days} days`);
+                purged[bucketName] = { quarantined: quarantined.length, expired: expired.length, purged: 0, failed: 0 };
+
+                if (expired.length === 0) continue;
+                if (config.dryRun) {
+                    this.logger.info('DRY RUN MODE - No deletions will be performed');
+                    continue;
+                }
+
+                const quarantineBucket = expired[0].quarantineBucket;
+                const deletionResult = await utility.deleteS3Objects(s3Client, quarantineBucket, expired.map(obj => obj.Key));
+                this.logger.info(`${bucketName}: purged ${deletionResult.successful.length}, failed ${deletionResult.failed.length}`);
+                purged[bucketName].purged = deletionResult.successful.length;
+                purged[bucketName].failed = deletionResult.failed.length;
+                deletionResult.failed.forEach(failure => this.logger.error(`Failed to purge ${failure.key}: ${failure.error}`));
+            }
+        } finally {
+            await s3Client.destroy();
+        }
+        return purged;
+    }
+}
+
+export default PurgeQuarantine;
@@ -0,0 +1,71 @@
+import utility from "./utility.mjs";
+
+const defaultPrefix = 'quarantine/';
+
+// Quarantined copies live under <prefix><source bucket>/<original key>, either in the
+// source bucket or in a separate one, so every copy can be traced back to where it came from
+function getQuarantineLocation(quarantineConfig = {}, sourceBucket) {
+    const { bucket, prefix = defaultPrefix } = quarantineConfig;
+    return {
+        bucket: bucket || sourceBucket,
+        prefix: `${prefix}${sourceBucket}/`
+    };
+}
+
+function isQuarantineKey(quarantineConfig = {}, bucketName, key) {
+    const { enabled, bucket, prefix = defaultPrefix } = quarantineConfig;
+    return !!enabled && !!prefix && (bucket || bucketName) === bucketName && key.startsWith(prefix);
+}
+
+/**
+ * Soft delete: copy each backup into quarantine, then remove the originals whose copy
+ * succeeded. Returns the same { successful, failed } shape as deleteS3Objects.
+ */
+async function quarantineS3Objects(s3Client, bucketName, backups, quarantineConfig = {}, deleteOptions = {}) {
+    const location = getQuarantineLocation(quarantineConfig, bucketName);
+    const copied = [];
+    const failed = [];
+
+    await utility.mapWithConcurrency(backups, deleteOptions.concurrency, async backup => {
+        try {
+            await utility.copyS3Object(s3Client, {
+                sourceBucket: bucketName,
+                sourceKey: backup.key,
+                targetBucket: location.bucket,
+                targetKey: `${location.prefix}${backup.key}`,
+                size: backup.size,
+                storageClass: quarantineConfig.storageClass
+            });
+            copied.push(backup.key);
+        } catch (error) {
+            console.error(`Error quarantining ${backup.key} from bucket ${bucketName}:`, error);
+            failed.push({ key: backup.key, error: error.message, bucket: bucketName });
+        }
+    });
+
+    const deletionResult = await utility.deleteS3Objects(s3Client, bucketName, copied, deleteOptions);
+
+    return {
+        successful: deletionResult.successful,
+        failed: [...failed, ...deletionResult.failed]
+    };
+}
+
+async function listQuarantinedObjects(s3Client, quarantineConfig, sourceBucket) {
+    const location = getQuarantineLocation(quarantineConfig, sourceBucket);
+    const objects = await utility.listS3Objects(s3Client, location.bucket, location.prefix);
+
+    return objects.map(obj => ({
+        ...obj,
+        quarantineBucket: location.bucket,
+        originalBucket: sourceBucket,
+        originalKey: obj.Key.slice(location.prefix.length)
+    }));
+}
+
+export {
+    getQuarantineLocation,
+    isQuarantineKey,
+    quarantineS3Objects,
+    listQuarantinedObjects
+};
@@ -0,0 +1,314 @@
+import fs from "fs/promises";
+import { createReadStream, createWriteStream, existsSync, statSync } from "fs";
+import { dirname, resolve, sep } from "path";
+import { pipeline } from "stream/promises";
+import dayjs from 'dayjs';
+import { GetObjectCommand, HeadObjectCommand } from "@aws-sdk/client-s3";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+import ActionBase from "./action-base.mjs";
+import BackupObject from "./backup-object.mjs";
+import { validateBackupSets } from "./backup-sets.mjs";
+import { createNamingSchemeResolver, parsePointInTime } from "./naming-schemes.mjs";
+import { buildBackupChains } from "./retention-policy.mjs";
+import { getSidecarExtensions, createBackupKeyFilter } from "./listing-filter.mjs";
+import {
+    createSidecarResolver,
+    readSidecarChecksum,
+    getStoredChecksums,
+    getUploadPartSize,
+    hashStream,
+    compareDigest
+} from "./verification.mjs";
+import { exitCodes } from "./cli.mjs";
+import utility from "./utility.mjs";
+
+// SQL Server backup files; other naming schemes get a manifest without a script
+const sqlServerFilePattern = /\.(bak|trn|dif)$/i;
+
+function sqlString(value) {
+    return `N'${String(value).replace(/'/g, "''")}'`;
+}
+
+function sqlIdentifier(value) {
+    return `[${String(value).replace(/]/g, ']]')}]`;
+}
+
+// SQL Server 2022 reads backups straight from S3-compatible storage with s3:// URLs
+function getSqlServerUrl(config, bucketName, key) {
+    const host = config.aws?.endpoint
+        ? new URL(config.aws.endpoint).host
+        : `s3.${config.aws?.region || 'us-east-1'}.amazonaws.com`;
+    return `s3://${host}/${bucketName}/${key}`;
+}
+
+class RestorePlan extends ActionBase {
+
+    static description = 'Plan a point-in-time restore of a database: the ordered files, a manifest, a RESTORE script and signed URLs or a download';
+    static args = {
+        object: { type: 'string', required: true, description: 'Database (objectName) to restore' },
+        at: { type: 'string', description: 'Point in time to restore to, e.g. 2025-03-01T14:30:00 (default now, in the config timezone)' },
+        bucket: { type: 'string', description: 'Configured bucket holding the backups (default: the first one that has them)' },
+        download: { type: 'string', description: 'Download every file to this directory instead of signing URLs' },
+        expiresIn: { type: 'integer', default: 24 * 60 * 60, description: 'Lifetime of the signed URLs in seconds' },
+        concurrency: { type: 'integer', default: 2, description: 'Files downloaded at a time' }
+    };
+
+    constructor({ object, at, bucket, download, expiresIn = 24 * 60 * 60, concurrency = 2, logger = console }) {
+        super();
+        this.logger = logger;
+        this.object = object;
+        this.at = at;
+        this.bucket = bucket;
+        this.download = download;
+        this.expiresIn = expiresIn;
+        this.concurrency = concurrency;
+        this.exitCode = exitCodes.success;
+    }
+
+    async listBackupGroups(s3Client, config, bucketName) {
+        const resolveNamingScheme = createNamingSchemeResolver(config.namingSchemes, config.timezone);
+        const isBackupKey = createBackupKeyFilter(config, bucketName);
+        // Quarantined copies and the prune lock are not restore sources
+        const objects = (await utility.listS3Objects(s3Client, bucketName, config.prefix))
+            .filter(obj => isBackupKey(obj.Key));
+        const keys = new Set(objects.map(obj => obj.Key));
+        const resolveSidecar = createSidecarResolver(keys, getSidecarExtensions(config));
+
+        const byBackupId = new Map();
+        objects
+            .filter(obj => !resolveSidecar(obj.Key))
+            .forEach(obj => {
+                let backup;
+                try {
+                    backup = new BackupObject(obj.Key, bucketName, resolveNamingScheme(bucketName, obj.Key), obj);
+                } catch (e) {
+                    return;
+                }
+                if (backup.objectName !== this.object) return;
+                if (!byBackupId.has(backup.backupId)) byBackupId.set(backup.backupId, []);
+                byBackupId.get(backup.backupId).push(backup);
+            });
+
+        // Stripes in part order, sets oldest first
+        const backupGroups = [...byBackupId.values()]
+            .map(group => group.sort((a, b) => Number(a.part) - Number(b.part)))
+            .sort((a, b) => a[0].datetime.unix() - b[0].datetime.unix());
+        return { backupGroups, keys };
+    }
+
+    /**
+     * The minimal ordered restore sequence for pointInTime: the newest complete full at or
+     * before it, the newest differential of that chain at or before it, then every log after
+     * that base up to and including the first log taken after the point (restored with STOPAT).
+     * An incomplete log set ends the sequence, since no later log can be applied past the gap.
+     */
+    planRestore(backupGroups, pointInTime, minSetSizeRatio) {
+        const incompleteSets = validateBackupSets(backupGroups, minSetSizeRatio);
+        const { chains } = buildBackupChains(backupGroups, incompleteSets);
+        const atOrBefore = group => !group[0].datetime.isAfter(pointInTime);
+
+        const chain = chains.filter(candidate => atOrBefore(candidate.full)).pop();
+        if (!chain) {
+            throw new Error(`No complete full backup of ${this.object} at or before ${pointInTime.format()}`);
+        }
+        const differential = chain.differentials.filter(atOrBefore).pop();
+        const base = differential || chain.full;
+        const steps = [chain.full, ...(differential ? [differential] : [])];
+        const warnings = [];
+
+        let stopAt = null;
+        let restorePoint = base[0].datetime;
+        // Logs carry on across later fulls, so they are taken from the whole history, not just this chain
+        const laterLogs = backupGroups.filter(group => group[0].isLogBackup && group[0].datetime.isAfter(base[0].datetime));
+        for (const log of laterLogs) {
+            if (incompleteSets.has(log[0].backupId)) {
+                warnings.push(`log ${log[0].backupId} is incomplete (${incompleteSets.get(log[0].backupId).join(', ')}); the restore stops before it`);
+                break;
+            }
+            steps.push(log);
+            if (log[0].datetime.isAfter(pointInTime)) {
+                stopAt = pointInTime;
+                restorePoint = pointInTime;
+                break;
+            }
+            restorePoint = log[0].datetime;
+        }
+        if (!stopAt && this.at && restorePoint.isBefore(pointInTime)) {
+            warnings.push(`no backup reaches past ${restorePoint.format('YYYY-MM-DD HH:mm:ss')}; that is the latest point this plan restores to`);
+        }
+
+        return { steps, stopAt, restorePoint, warnings };
+    }
+
+    async signUrls(s3Client, bucketName, files) {
+        const expiresAt = dayjs().add(this.expiresIn, 'second').toISOString();
+        for (const file of files) {
+            file.url = await getSignedUrl(s3Client, new GetObjectCommand({ Bucket: bucketName, Key: file.key }), { expiresIn: this.expiresIn });
+            file.expiresAt = expiresAt;
+        }
+    }
+
+    // Resumes a partial file with a ranged GET, then hashes the whole file against what S3 stored
+    async downloadFile(s3Client, bucketName, file, sidecarKey) {
+        // Keys such as "../x" or "/x" must not write outside the download directory
+        const root = resolve(this.download);
+        const localPath = resolve(root, file.key);
+        if (!localPath.startsWith(root + sep)) {
+            throw new Error(`${file.key} resolves outside ${root}; not downloaded`);
+        }
+        file.localPath = localPath;
+        await fs.mkdir(dirname(localPath), { recursive: true });
+
+        const head = await s3Client.send(new HeadObjectCommand({ Bucket: bucketName, Key: file.key, ChecksumMode: 'ENABLED' }));
+        const stored = getStoredChecksums(head);
+        let existing = existsSync(localPath) ? statSync(localPath).size : 0;
+        if (existing > stored.size) {
+            await fs.rm(localPath);
+            existing = 0;
+        }
+
+        if (existing < stored.size) {
+            const response = await s3Client.send(new GetObjectCommand({
+                Bucket: bucketName,
+                Key: file.key,
+                Range: existing > 0 ? `bytes=${existing}-` : undefined,
+                IfMatch: head.ETag
+            }));
+            await pipeline(response.Body, createWriteStream(localPath, { flags: existing > 0 ? 'a' : 'w' }));
+            file.resumedFrom = existing > 0 ? existing : undefined;
+        } else {
+            file.alreadyDownloaded = true;
+        }
+
+        const expected = sidecarKey ? await readSidecarChecksum(s3Client, bucketName, sidecarKey) : null;
+        const partSize = await getUploadPartSize(s3Client, bucketName, file.key, stored);
+        const digest = await hashStream(createReadStream(localPath), { partSize, crc32c: !!stored.crc32c });
+        const checks = compareDigest(digest, stored, expected && { source: 'sidecar', ...expected });
+        file.sha256 = digest.sha256;
+        file.verified = checks.every(check => check.match);
+        if (!file.verified) {
+            // A corrupt file would only be resumed again, so it starts over next time
+            await fs.rm(localPath);
+            const failed = checks.filter(check => !check.match).map(check => `${check.source} ${check.algorithm}`);
+            throw new Error(`${file.key} does not match ${failed.join(', ')}; the local copy was removed`);
+        }
+    }
+
+    buildSqlScript(config, bucketName, plan, steps) {
+        const database = sqlIdentifier(this.object);
+        const lines = [
+            `-- Restore ${this.object} to ${plan.restorePoint.format('YYYY-MM-DD HH:mm:ss')} from ${bucketName}`,
+            ...plan.warnings.map(warning => `-- Warning: ${warning}`)
+        ];
+        if (!this.download) {
+            lines.push('-- Needs SQL Server 2022 or later and a credential for the bucket, e.g.',
+                `-- CREATE CREDENTIAL [${getSqlServerUrl(config, bucketName, '').replace(/\/$/, '')}] WITH IDENTITY = 'S3 Access Key', SECRET = '<access key id>:<secret access key>';`);
+        }
+        lines.push('');
+
+        steps.forEach((step, index) => {
+            const isLast = index === steps.length - 1;
+            const sources = step.files.map(file => this.download
+                ? `DISK = ${sqlString(file.localPath)}`
+                : `URL = ${sqlString(getSqlServerUrl(config, bucketName, file.key))}`);
+            const options = [index === 0 ? 'REPLACE' : null, 'NORECOVERY', 'STATS = 10'];
+            if (isLast && plan.stopAt) {
+                options.push(`STOPAT = ${sqlString(plan.stopAt.format('YYYY-MM-DDTHH:mm:ss'))}`);
+            }
+            lines.push(
+                `-- ${index + 1}. ${step.type} ${step.backupId}`,
+                `RESTORE ${step.isLog ? 'LOG' : 'DATABASE'} ${database} FROM`,
+                `    ${sources.join(',\n    ')}`,
+                `WITH ${options.filter(Boolean).join(', ')};`,
+                ''
+            );
+        });
+        lines.push(`RESTORE DATABASE ${database} WITH RECOVERY;`, '');
+        return lines.join('\n');
+    }
+
+    async run(config) {
+        const pointInTime = parsePointInTime(this.at, config.timezone);
+        const buckets = this.bucket ? config.buckets.filter(bucket => bucket === this.bucket) : config.buckets;
+        const s3Client = utility.createS3Client(config);
+
+        try {
+            for (const bucketName of buckets) {
+                const { backupGroups, keys } = await this.listBackupGroups(s3Client, config, bucketName);
+                if (backupGroups.length === 0) continue;
+
+                const plan = this.planRestore(backupGroups, pointInTime, config.retention?.minSetSizeRatio);
+                plan.warnings.forEach(warning => this.logger.warn(`Warning: ${warning}`));
+                const steps = plan.steps.map(group => ({
+                    type: group[0].type,
+                    isLog: group[0].isLogBackup,
+                    backupId: group[0].backupId,
+                    datetime: group[0].datetime.format(),
+                    files: group.map(part => ({ key: part.key, part: part.part, size: part.size, etag: part.etag }))
+                }));
+                const files = steps.flatMap(step => step.files);
+
+                if (this.download) {
+                    const resolveSidecar = createSidecarResolver(keys, getSidecarExtensions(config));
+                    const sidecarKeys = new Map([...keys].filter(key => resolveSidecar(key)).map(key => [resolveSidecar(key), key]));
+                    this.logger.info(`Downloading ${files.length} files of ${this.object} to ${this.download}`);
+                    await utility.mapWithConcurrency(files, this.concurrency, async file => {
+                        try {
+                            await this.downloadFile(s3Client, bucketName, file, sidecarKeys.get(file.key));
+                            this.logger.info(`  ${file.alreadyDownloaded ? 'present' : 'downloaded'}: ${file.localPath}`);
+                        } catch (error) {
+                            file.error = error.message;
+                            this.logger.error(`  failed: ${file.key} - ${error.message}`);
+                        }
+                    });
+                    // Run the mode again to resume; the manifest still lists every file
+                    if (files.some(file => file.error)) {
+                        this.exitCode = exitCodes.error;
+                    }
+                } else {
+                    await this.signUrls(s3Client, bucketName, files);
+                }
+
+                const name = `restore-plan-${this.object}-${plan.restorePoint.format('YYYYMMDD-HHmmss')}`;
+                const manifest = {
+                    bucket: bucketName,
+                    objectName: this.object,
+                    requestedPointInTime: pointInTime.format(),
+                    restorePoint: plan.restorePoint.format(),
+                    stopAt: plan.stopAt ? plan.stopAt.format() : null,
+                    createdAt: new Date().toISOString(),
+                    warnings: plan.warnings,
+                    totalBytes: files.reduce((total, file) => total + (file.size || 0), 0),
+                    steps
+                };
+                await fs.mkdir('output', { recursive: true });
+                const manifestFile = `output/${name}.json`;
+                await fs.writeFile(manifestFile, JSON.stringify(manifest, null, 2), 'utf8');
+
+                let scriptFile = null;
+                if (files.every(file => sqlServerFilePattern.test(file.key))) {
+                    scriptFile = `output/${name}.sql`;
+                    await fs.writeFile(scriptFile, this.buildSqlScript(config, bucketName, plan, steps), 'utf8');
+                }
+
+                this.logger.info(`Restore of ${this.object} to ${plan.restorePoint.format('YYYY-MM-DD HH:mm:ss')}: ` +
+                    steps.map(step => `${step.type} ${step.backupId} (${step.files.length} file${step.files.length > 1 ? 's' : ''})`).join(' -> '));
+                this.logger.info(`Restore manifest written to ${manifestFile}${scriptFile ? `, script to ${scriptFile}` : ''}`);
+                return { bucket: bucketName, restorePoint: manifest.restorePoint, steps: steps.length, files: files.length, manifestFile, scriptFile };
+            }
+        } finally {
+            await s3Client.destroy();
+        }
+
+        this.logger.info(`No backups of ${this.object} found in ${buckets.join(', ')}`);
+        return null;
+    }
+
+    async cleanup() {
+        if (this.exitCode !== exitCodes.success) {
+            process.exitCode = this.exitCode;
+        }
+    }
+}
+
+export default RestorePlan;
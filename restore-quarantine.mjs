@@ -0,0 +1,113 @@
+import { HeadObjectCommand, RestoreObjectCommand } from "@aws-sdk/client-s3";
+import utility from "./utility.mjs";
+import ActionBase from "./action-base.mjs";
+import { listQuarantinedObjects } from "./quarantine.mjs";
+import { archiveStorageClasses } from "./verification.mjs";
+import { usageError } from "./cli.mjs";
+
+const restoreTiers = ['Expedited', 'Standard', 'Bulk'];
+
+class RestoreQuarantine extends ActionBase {
+
+    static description = 'Move quarantined backups back to their original key';
+    static args = {
+        key: { type: 'string', description: 'Original key of the backup to restore' },
+        pattern: { type: 'regex', description: 'Restore every quarantined backup whose original key matches' },
+        restoreDays: { type: 'integer', default: 7, description: 'Days a GLACIER or DEEP_ARCHIVE copy stays readable once S3 has restored it' },
+        restoreTier: { type: 'string', default: 'Standard', description: 'Retrieval tier for archived copies: Expedited, Standard or Bulk' }
+    };
+
+    constructor({ key, pattern, restoreDays = 7, restoreTier = 'Standard', logger = console }) {
+        super();
+        if (!restoreTiers.includes(restoreTier)) throw usageError(`restoreTier: expected one of ${restoreTiers.join(', ')}, got ${restoreTier}`);
+        if (restoreDays < 1) throw usageError('restoreDays: must be at least 1');
+        this.logger = logger;
+        this.key = key;
+        this.pattern = pattern ? new RegExp(pattern) : null;
+        this.restoreDays = restoreDays;
+        this.restoreTier = restoreTier;
+    }
+
+    /**
+     * Archived copies cannot be copied until S3 has restored them. Returns null when the copy
+     * is readable, otherwise why it is not, requesting the restore if none is running yet.
+     */
+    async checkArchived(s3Client, obj, dryRun) {
+        if (!archiveStorageClasses.has(obj.StorageClass)) return null;
+
+        const head = await s3Client.send(new HeadObjectCommand({ Bucket: obj.quarantineBucket, Key: obj.Key }));
+        if (/ongoing-request="false"/.test(head.Restore || '')) return null;
+        if (/ongoing-request="true"/.test(head.Restore || '')) return 'restore in progress';
+        if (dryRun) return 'needs restore';
+
+        await s3Client.send(new RestoreObjectCommand({
+            Bucket: obj.quarantineBucket,
+            Key: obj.Key,
+            RestoreRequest: { Days: this.restoreDays, GlacierJobParameters: { Tier: this.restoreTier } }
+        }));
+        return 'restore requested';
+    }
+
+    matches(originalKey) {
+        if (this.key) return originalKey === this.key;
+        return this.pattern.test(originalKey);
+    }
+
+    async run(config) {
+        if (!this.key && !this.pattern) {
+            throw new Error('Specify the backups to restore with key=<original key> or pattern=<regex>');
+        }
+
+        const s3Client = utility.createS3Client(config);
+        const restoredByBucket = {};
+        try {
+            for (const bucketName of config.buckets) {
+                const quarantined = await listQuarantinedObjects(s3Client, config.quarantine, bucketName);
+                const selected = quarantined.filter(obj => this.matches(obj.originalKey));
+                this.logger.info(`${bucketName}: ${selected.length} quarantined objects selected for restore`);
+                restoredByBucket[bucketName] = { selected: selected.map(obj => obj.originalKey), restored: [], pending: [] };
+
+                if (selected.length === 0) continue;
+
+                // Only drop the quarantined copy once the original key is back
+                const restored = [];
+                for (const obj of selected) {
+                    try {
+                        const pending = await this.checkArchived(s3Client, obj, config.dryRun);
+                        if (pending) {
+                            restoredByBucket[bucketName].pending.push({ key: obj.originalKey, storageClass: obj.StorageClass, status: pending });
+                            this.logger.info(`${obj.originalKey}: ${obj.StorageClass} copy, ${pending}; run restoreQuarantine again once S3 has restored it`);
+                            continue;
+                        }
+                        if (config.dryRun) {
+                            this.logger.info(`Would restore ${obj.Key} -> ${obj.originalKey}`);
+                            continue;
+                        }
+
+                        await utility.copyS3Object(s3Client, {
+                            sourceBucket: obj.quarantineBucket,
+                            sourceKey: obj.Key,
+                            targetBucket: bucketName,
+                            targetKey: obj.originalKey,
+                            size: obj.Size
+                        });
+                        restored.push(obj.Key);
+                        restoredByBucket[bucketName].restored.push(obj.originalKey);
+                        this.logger.info(`Restored ${obj.originalKey}`);
+                    } catch (error) {
+                        this.logger.error(`Failed to restore ${obj.originalKey}:`, error);
+                    }
+                }
+
+                if (restored.length === 0) continue;
+                const deletionResult = await utility.deleteS3Objects(s3Client, selected[0].quarantineBucket, restored);
+                deletionResult.failed.forEach(failure => this.logger.error(`Failed to remove quarantined copy ${failure.key}: ${failure.error}`));
+            }
+        } finally {
+            await s3Client.destroy();
+        }
+        return restoredByBucket;
+    }
+}
+
+export default RestoreQuarantine;
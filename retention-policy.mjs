@@ -0,0 +1,467 @@
+import dayjs from 'dayjs';
+import BackupObject, { getPeriodKey } from "./backup-object.mjs";
+import { groupBackupsByObject, validateBackupSets } from "./backup-sets.mjs";
+import { createNamingSchemeResolver } from "./naming-schemes.mjs";
+import { createRetentionRuleResolver } from "./retention-rules.mjs";
+import { compileTieringRules, getTieringTarget } from "./tiering.mjs";
+import { createSidecarResolver } from "./verification.mjs";
+
+function buildBackupChains(sortedBackupGroups, incompleteSets = new Map()) {
+    // Walk backups oldest first: every full starts a new chain and the
+    // differentials and logs taken after it belong to that chain
+    const chains = [];
+    const chainByBackupId = new Map();
+    const orphans = [];
+    let currentChain = null;
+
+    sortedBackupGroups.forEach(backupGroup => {
+        const backup = backupGroup[0];
+        if (incompleteSets.has(backup.backupId)) {
+            // Nothing taken after an incomplete full can be restored
+            if (backup.isFullBackup) currentChain = null;
+            return;
+        }
+        if (backup.isFullBackup) {
+            currentChain = { full: backupGroup, differentials: [], logs: [] };
+            chains.push(currentChain);
+        } else if (!currentChain) {
+            // No full before it - nothing to restore this backup on top of
+            orphans.push(backupGroup);
+            return;
+        } else if (backup.isLogBackup) {
+            currentChain.logs.push(backupGroup);
+        } else {
+            currentChain.differentials.push(backupGroup);
+        }
+        chainByBackupId.set(backup.backupId, currentChain);
+    });
+
+    return { chains, chainByBackupId, orphans };
+}
+
+function getChainLinks(backupGroup, chain) {
+    const backup = backupGroup[0];
+    if (!backup.isLogBackup) {
+        return [chain.full];
+    }
+
+    // A log is restored on top of the newest differential taken before it (or the
+    // full if there is none), followed by every log between that base and itself
+    const logTime = backup.datetime.unix();
+    const baseDiff = [...chain.differentials]
+        .reverse()
+        .find(diff => diff[0].datetime.unix() <= logTime);
+    const baseTime = (baseDiff || chain.full)[0].datetime.unix();
+    const logs = chain.logs.filter(log => {
+        const time = log[0].datetime.unix();
+        return time >= baseTime && time < logTime;
+    });
+
+    return baseDiff ? [chain.full, baseDiff, ...logs] : [chain.full, ...logs];
+}
+
+function getRecentPeriodKeys(now, period, count = 0, weekStart = 'iso') {
+    // The current period plus the N - 1 periods before it
+    const keys = new Set();
+    for (let i = 0; i < count; i++) {
+        keys.add(getPeriodKey(now.subtract(i, period), period, weekStart));
+    }
+    return keys;
+}
+
+const gfsPeriods = [
+    { period: 'year', limit: 'yearlyBackups', summaryKey: 'yearlyBackups', label: 'yearly' },
+    { period: 'month', limit: 'monthlyBackups', summaryKey: 'monthlyBackups', label: 'monthly' },
+    { period: 'week', limit: 'weeklyBackups', summaryKey: 'weeklyBackups', label: 'weekly' },
+    { period: 'day', limit: 'dailyBackups', summaryKey: 'dailyBackups', label: 'daily' }
+];
+
+function applyRetentionPolicy(backups, retentionConfig, { namingSchemes = [], retentionRules = [], sidecarExtensions = [], timezone, now, onProgress } = {}) {
+    const resolveNamingScheme = createNamingSchemeResolver(namingSchemes, timezone);
+    const resolveSidecar = createSidecarResolver(new Set(backups.map(obj => obj.Key)), sidecarExtensions);
+    const sidecars = [];
+    const skippedBackups = [];
+    const backupObjects = backups
+        .filter(obj => {
+            const baseKey = resolveSidecar(obj.Key);
+            if (baseKey) sidecars.push({ obj, baseKey });
+            return !baseKey;
+        })
+        .map(obj => {
+            try {
+                const namingScheme = resolveNamingScheme(obj.bucketName, obj.Key);
+                return new BackupObject(obj.Key, obj.bucketName, namingScheme, obj);
+            } catch (e) {
+                console.warn(`Skipping invalid backup: ${obj.Key}`);
+                skippedBackups.push({ obj, reason: e.message });
+                return null;
+            }
+        })
+        .filter(Boolean);
+    const backupByKey = new Map(backupObjects.map(backup => [backup.key, backup]));
+
+    // A database is governed by one retention rule: the rule its newest full matches (its
+    // newest backup when it has no full), so a prefix rule cannot split a chain in two
+    const resolveRetentionRule = createRetentionRuleResolver(retentionRules, retentionConfig);
+    const ruleByObjectName = new Map();
+    [...backupObjects]
+        .sort((a, b) => (b.isFullBackup - a.isFullBackup) || (b.datetime.unix() - a.datetime.unix()))
+        .forEach(backup => {
+            const rule = resolveRetentionRule(backup.bucketName, backup.key, backup.objectName);
+            const governing = ruleByObjectName.get(backup.objectName);
+            if (!governing) {
+                ruleByObjectName.set(backup.objectName, rule);
+            } else if (governing.name !== rule.name) {
+                console.warn(`${backup.key} matches retention rule ${rule.name}, but ${backup.objectName} is governed by ${governing.name}`);
+            }
+        });
+
+    // Group backups by object name and then by backup ID
+    const groupedBackups = groupBackupsByObject(backupObjects);
+    const retainedBackups = new Set();
+    const quarantinedBackups = new Set();
+    const tieringCandidates = [];
+    // Why each key was kept, quarantined or deleted
+    const reasonsByKey = new Map();
+    const ruleByKey = new Map();
+    const addReason = (backupGroup, reason) => {
+        backupGroup.forEach(part => {
+            if (!reasonsByKey.has(part.key)) reasonsByKey.set(part.key, []);
+            reasonsByKey.get(part.key).push(reason);
+        });
+    };
+    const retentionSummary = {
+        totalBackups: 0,
+        retainedCount: 0,
+        deleteCount: 0,
+        orphanedCount: 0,
+        incompleteCount: 0,
+        quarantinedCount: 0,
+        tieringCount: 0,
+        byObject: {}
+    };
+    let evaluatedCount = 0;
+    if (!now) {
+        now = timezone ? dayjs().tz(timezone) : dayjs();
+    }
+
+    // Process each object's backups separately
+    groupedBackups.forEach((backupGroups, objectName) => {
+        const rule = ruleByObjectName.get(objectName);
+        const objectRetention = rule.retention;
+        const {
+            incompleteSetAction = 'keep',
+            minSetSizeRatio = 0.5,
+            periodPick = 'last',
+            weekStart = 'iso',
+            keepWithinDays = 0,
+            minAgeDays = 0
+        } = objectRetention;
+        const isBelowMinAge = backup => now.diff(backup.datetime, 'day', true) < minAgeDays;
+
+        // Sort backup groups by date (oldest first)
+        const sortedBackupGroups = backupGroups
+            .sort((a, b) => {
+                return a[0].datetime.unix() - b[0].datetime.unix();
+            });
+
+        const incompleteSets = validateBackupSets(sortedBackupGroups, minSetSizeRatio);
+        const { chains, chainByBackupId, orphans } = buildBackupChains(sortedBackupGroups, incompleteSets);
+        // Incomplete sets never take up a retention slot
+        const completeGroups = sortedBackupGroups
+            .filter(backupGroup => !incompleteSets.has(backupGroup[0].backupId));
+
+        const objectRetained = new Set();
+        const objectSummary = {
+            retentionRule: rule.name,
+            totalBackups: sortedBackupGroups.length,
+            yearlyBackups: 0,
+            monthlyBackups: 0,
+            weeklyBackups: 0,
+            dailyBackups: 0,
+            keptWithinDays: 0,
+            protectedByMinAge: 0,
+            differentialBackups: 0,
+            logBackups: 0,
+            fullBackups: 0,  // New: Track retained full backups
+            pinnedBackups: 0,
+            tieringCandidates: 0,
+            chains: chains.length,
+            retainedChains: 0,
+            orphanedDifferentials: [],
+            orphanedLogs: [],
+            incompleteSets: []
+        };
+
+        // Retain all parts of a backup
+        const retain = (backupGroup, reason) => {
+            backupGroup.forEach(part => {
+                objectRetained.add(part.key);
+                retainedBackups.add(part.key);
+            });
+            addReason(backupGroup, reason);
+        };
+        backupGroups.forEach(backupGroup => {
+            backupGroup.forEach(part => ruleByKey.set(part.key, rule.name));
+        });
+
+        let diffCount = 0;
+        let logCount = 0;
+        let fullCount = 0;  // New: Track count of retained full backups
+
+        // First pass: Retain newest full backups up to the limit
+        const reversedGroups = [...completeGroups].reverse();
+        reversedGroups.forEach(backupGroup => {
+            const backup = backupGroup[0];
+            if (backup.isFullBackup && fullCount < objectRetention.fullBackups) {
+                retain(backupGroup, fullCount === 0 ? 'full-latest' : `full-latest #${fullCount + 1}`);
+                fullCount++;
+                objectSummary.fullBackups++;
+            }
+        });
+
+        // Second pass: GFS - one full backup for each of the most recent N calendar periods
+        const fullGroups = completeGroups.filter(backupGroup => backupGroup[0].isFullBackup);
+        objectSummary.latestFull = fullGroups.length > 0 ? fullGroups[fullGroups.length - 1][0].backupId : null;
+        const archivePicks = new Set();
+        gfsPeriods.forEach(({ period, limit, summaryKey, label }) => {
+            const periodKeys = getRecentPeriodKeys(now, period, objectRetention[limit], weekStart);
+            const picks = new Map();
+
+            fullGroups.forEach(backupGroup => {
+                const periodKey = backupGroup[0].getPeriodKey(period, weekStart);
+                if (!periodKeys.has(periodKey)) return;
+                // Groups are oldest first, so the last one seen is the newest in the period
+                if (!picks.has(periodKey) || periodPick !== 'first') {
+                    picks.set(periodKey, backupGroup);
+                }
+            });
+
+            picks.forEach((backupGroup, periodKey) => {
+                retain(backupGroup, `${label} ${periodKey}`);
+                objectSummary[summaryKey]++;
+                if (period === 'year' || period === 'month') archivePicks.add(backupGroup);
+            });
+        });
+
+        // Third pass: Process differential and log backups
+        reversedGroups.forEach(backupGroup => {
+            const backup = backupGroup[0];
+
+            // Orphans can never be restored, so they do not take up a slot
+            const hasChain = chainByBackupId.has(backup.backupId);
+
+            if (backup.isDifferentialBackup && hasChain && diffCount < objectRetention.differentialBackups) {
+                diffCount++;
+                objectSummary.differentialBackups++;
+                retain(backupGroup, `differential #${diffCount}`);
+            }
+
+            if (backup.isLogBackup && hasChain && logCount < objectRetention.logBackups) {
+                logCount++;
+                objectSummary.logBackups++;
+                retain(backupGroup, `log #${logCount}`);
+            }
+        });
+
+        // Age rules: keep everything younger than keepWithinDays, and never delete
+        // anything younger than minAgeDays
+        completeGroups.forEach(backupGroup => {
+            const backup = backupGroup[0];
+            if (objectRetained.has(backup.key)) return;
+
+            if (now.diff(backup.datetime, 'day', true) < keepWithinDays) {
+                retain(backupGroup, `younger than ${keepWithinDays} days`);
+                objectSummary.keptWithinDays++;
+            } else if (isBelowMinAge(backup)) {
+                retain(backupGroup, `minimum age ${minAgeDays} days`);
+                objectSummary.protectedByMinAge++;
+            }
+        });
+
+        // Fourth pass: Pin every link a retained differential or log needs to be restored
+        reversedGroups.forEach(backupGroup => {
+            const backup = backupGroup[0];
+            const chain = chainByBackupId.get(backup.backupId);
+            if (backup.isFullBackup || !chain || !objectRetained.has(backup.key)) {
+                return;
+            }
+
+            getChainLinks(backupGroup, chain).forEach(link => {
+                if (!objectRetained.has(link[0].key)) {
+                    retain(link, `chain link of ${backup.backupId}`);
+                    objectSummary.pinnedBackups++;
+                }
+            });
+        });
+
+        // A chain only counts as retained when its base full is kept - the pinning
+        // above guarantees every retained differential and log has its links
+        objectSummary.retainedChains = chains
+            .filter(chain => objectRetained.has(chain.full[0].key))
+            .length;
+
+        orphans.forEach(backupGroup => {
+            const backup = backupGroup[0];
+            if (backup.isLogBackup) {
+                objectSummary.orphanedLogs.push(backup.backupId);
+            } else {
+                objectSummary.orphanedDifferentials.push(backup.backupId);
+            }
+            if (!objectRetention.deleteOrphans) {
+                retain(backupGroup, 'orphan kept (no base full)');
+            } else if (isBelowMinAge(backup)) {
+                retain(backupGroup, `orphan, minimum age ${minAgeDays} days`);
+            } else {
+                addReason(backupGroup, 'orphan (no base full)');
+            }
+        });
+
+        // Tiering: yearly and monthly fulls past a rule's age move to a colder storage class.
+        // The latest full stays where it is, it is the first restore point
+        const tieringRules = compileTieringRules(objectRetention.tiering);
+        archivePicks.forEach(backupGroup => {
+            const backup = backupGroup[0];
+            if (tieringRules.length === 0 || backup.backupId === objectSummary.latestFull) return;
+
+            const ageDays = now.diff(backup.datetime, 'day', true);
+            backupGroup.forEach(part => {
+                const target = getTieringTarget(tieringRules, ageDays, part.storageClass);
+                if (!target) return;
+
+                tieringCandidates.push({
+                    key: part.key,
+                    bucketName: part.bucketName,
+                    objectName: part.objectName,
+                    backupId: part.backupId,
+                    size: part.size,
+                    storageClass: part.storageClass || 'STANDARD',
+                    targetStorageClass: target.storageClass
+                });
+                addReason([part], `tier to ${target.storageClass} after ${target.afterDays} days`);
+                objectSummary.tieringCandidates++;
+            });
+        });
+
+        let objectQuarantined = 0;
+        sortedBackupGroups.forEach(backupGroup => {
+            const backup = backupGroup[0];
+            if (!incompleteSets.has(backup.backupId)) return;
+
+            objectSummary.incompleteSets.push({
+                backupId: backup.backupId,
+                type: backup.type,
+                date: backup.datetime.format('YYYY-MM-DD HH:mm:ss'),
+                parts: backupGroup.length,
+                issues: incompleteSets.get(backup.backupId)
+            });
+            addReason(backupGroup, `incomplete: ${incompleteSets.get(backup.backupId).join(', ')}`);
+            // Anything but "delete" ("keep", or its old name "quarantine") leaves the set untouched
+            if (incompleteSetAction !== 'delete' || isBelowMinAge(backup)) {
+                backupGroup.forEach(part => quarantinedBackups.add(part.key));
+                objectQuarantined += backupGroup.length;
+            }
+        });
+
+        // Update summary for this object
+        objectSummary.retainedCount = objectRetained.size;
+        objectSummary.quarantinedCount = objectQuarantined;
+        objectSummary.deleteCount = sortedBackupGroups
+            .reduce((total, backupGroup) => total + backupGroup.length, 0) - objectRetained.size - objectQuarantined;
+
+        // Add more detailed information about retained backups
+        objectSummary.retainedBackups = Array.from(objectRetained).map(key => {
+            const backup = backupByKey.get(key);
+            return {
+                key: backup.key,
+                date: backup.datetime.format('YYYY-MM-DD HH:mm:ss'),
+                type: backup.type,
+                part: backup.part
+            };
+        });
+
+        retentionSummary.byObject[objectName] = objectSummary;
+        retentionSummary.totalBackups += objectSummary.totalBackups;
+        retentionSummary.retainedCount += objectSummary.retainedCount;
+        retentionSummary.deleteCount += objectSummary.deleteCount;
+        retentionSummary.orphanedCount += orphans.length;
+        retentionSummary.incompleteCount += incompleteSets.size;
+        retentionSummary.quarantinedCount += objectQuarantined;
+        retentionSummary.tieringCount += objectSummary.tieringCandidates;
+        evaluatedCount += objectSummary.retainedCount + objectSummary.quarantinedCount + objectSummary.deleteCount;
+        if (onProgress) onProgress(evaluatedCount);
+    });
+
+    // Calculate backups to delete
+    const backupsToDelete = backupObjects
+        .filter(backup => !retainedBackups.has(backup.key) && !quarantinedBackups.has(backup.key))
+        .map(backup => ({
+            key: backup.key,
+            bucketName: backup.bucketName,
+            objectName: backup.objectName,
+            backupId: backup.backupId,
+            size: backup.size,
+            etag: backup.etag,
+            lastModified: backup.lastModified,
+            date: backup.datetime.format('YYYY-MM-DD HH:mm:ss'),
+            type: backup.type
+        }));
+
+    // Per-key decision with the rule(s) behind it, for the retention report
+    const decisions = backupObjects.map(backup => {
+        let decision = 'delete';
+        if (retainedBackups.has(backup.key)) decision = 'retain';
+        else if (quarantinedBackups.has(backup.key)) decision = 'quarantine';
+
+        return {
+            bucket: backup.bucketName,
+            key: backup.key,
+            objectName: backup.objectName,
+            type: backup.type,
+            part: backup.part,
+            size: backup.size,
+            timestamp: backup.datetime.format('YYYY-MM-DD HH:mm:ss'),
+            datetime: backup.datetime.toISOString(),
+            retentionRule: ruleByKey.get(backup.key),
+            decision,
+            reasons: reasonsByKey.get(backup.key) || ['not retained by any rule']
+        };
+    });
+    skippedBackups.forEach(({ obj, reason }) => {
+        decisions.push({
+            bucket: obj.bucketName,
+            key: obj.Key,
+            size: obj.Size,
+            decision: 'ignore',
+            reasons: [reason]
+        });
+    });
+
+    // Sidecar checksum files share the fate of the backup they belong to
+    const decisionByKey = new Map(decisions.map(decision => [decision.key, decision]));
+    const deletionByKey = new Map(backupsToDelete.map(backup => [backup.key, backup]));
+    sidecars.forEach(({ obj, baseKey }) => {
+        const base = decisionByKey.get(baseKey);
+        if (base.decision === 'retain') retainedBackups.add(obj.Key);
+        if (base.decision === 'quarantine') quarantinedBackups.add(obj.Key);
+        if (deletionByKey.has(baseKey)) {
+            backupsToDelete.push({ ...deletionByKey.get(baseKey), key: obj.Key, size: obj.Size, etag: obj.ETag, lastModified: obj.LastModified });
+        }
+        decisions.push({ ...base, key: obj.Key, size: obj.Size, reasons: [`sidecar of ${baseKey}`] });
+    });
+
+    return {
+        retainedBackups: Array.from(retainedBackups),
+        quarantinedBackups: Array.from(quarantinedBackups),
+        backupsToDelete,
+        tieringCandidates,
+        decisions,
+        summary: retentionSummary
+    };
+}
+
+export {
+    buildBackupChains,
+    getChainLinks,
+    applyRetentionPolicy
+};
@@ -0,0 +1,118 @@
+import fs from "fs/promises";
+import dayjs from 'dayjs';
+import ObjectsToCsv from "objects-to-csv";
+
+const decisionColors = {
+    retain: '#e6f4ea',
+    quarantine: '#fff4e5',
+    locked: '#e8f0fe',
+    delete: '#fdecea',
+    ignore: '#f1f3f4'
+};
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+const reportColumns = [
+    'bucket', 'objectName', 'key', 'type', 'part', 'size',
+    'timestamp', 'retentionRule', 'decision', 'reasons'
+];
+
+// Fixed column order so every format lines up, including ignored keys with no metadata
+function toRows(decisions) {
+    return decisions.map(decision => ({
+        bucket: decision.bucket,
+        objectName: decision.objectName ?? '',
+        key: decision.key,
+        type: decision.type ?? '',
+        part: decision.part ?? '',
+        size: decision.size ?? '',
+        timestamp: decision.timestamp ?? '',
+        retentionRule: decision.retentionRule ?? '',
+        decision: decision.decision,
+        reasons: decision.reasons.join('; ')
+    }));
+}
+
+function countDecisions(decisions) {
+    return decisions.reduce((counts, { decision }) => {
+        counts[decision] = (counts[decision] || 0) + 1;
+        return counts;
+    }, {});
+}
+
+function renderHtml(rows, { title, generatedAt }) {
+    const counts = countDecisions(rows);
+    const summary = Object.entries(counts)
+        .map(([decision, count]) => `<li>${escapeHtml(decision)}: ${count}</li>`)
+        .join('');
+    const header = reportColumns.map(column => `<th>${escapeHtml(column)}</th>`).join('');
+    const body = rows.map(row => {
+        const cells = reportColumns.map(column => `<td>${escapeHtml(row[column])}</td>`).join('');
+        return `<tr style="background:${decisionColors[row.decision] || '#fff'}">${cells}</tr>`;
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: sans-serif; margin: 1.5em; }
+table { border-collapse: collapse; font-size: 0.85em; }
+th, td { border: 1px solid #ccc; padding: 0.25em 0.5em; text-align: left; }
+th { background: #eee; position: sticky; top: 0; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p>Generated ${escapeHtml(generatedAt)}</p>
+<ul>${summary}</ul>
+<table>
+<thead><tr>${header}</tr></thead>
+<tbody>
+${body}
+</tbody>
+</table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Write the per-key retention decisions as JSON, CSV and a self-contained HTML page.
+ * Returns the paths written.
+ */
+async function writeRetentionReport(decisions, { directory = 'output', name = 'retention-report', title = 'Retention report' } = {}) {
+    const generatedAt = dayjs().format('YYYY-MM-DD HH:mm:ss');
+    const basePath = `${directory}/${name}-${dayjs().format('YYYYMMDD-HHmmss')}`;
+    const rows = toRows(decisions);
+
+    await fs.mkdir(directory, { recursive: true });
+
+    const files = {
+        json: `${basePath}.json`,
+        csv: `${basePath}.csv`,
+        html: `${basePath}.html`
+    };
+
+    await fs.writeFile(files.json, JSON.stringify({
+        generatedAt,
+        counts: countDecisions(rows),
+        decisions
+    }, null, 2), 'utf8');
+    await new ObjectsToCsv(rows).toDisk(files.csv);
+    await fs.writeFile(files.html, renderHtml(rows, { title, generatedAt }), 'utf8');
+
+    return files;
+}
+
+export {
+    escapeHtml,
+    writeRetentionReport
+};
@@ -0,0 +1,43 @@
+// Convert a glob such as "ERP_*" into an anchored regex
+function globToRegExp(glob) {
+    const source = glob
+        .split('')
+        .map(char => {
+            if (char === '*') return '.*';
+            if (char === '?') return '.';
+            return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('');
+    return new RegExp(`^${source}$`);
+}
+
+function compileRetentionRule(rule, index, defaultRetention) {
+    const objectNameRegex = rule.objectNamePattern
+        ? new RegExp(rule.objectNamePattern, rule.flags || '')
+        : rule.objectName ? globToRegExp(rule.objectName) : null;
+
+    return {
+        name: rule.name || `rule ${index + 1}`,
+        retention: { ...defaultRetention, ...rule.retention },
+        matches(bucketName, key, objectName) {
+            return (!rule.bucket || rule.bucket === bucketName) &&
+                (!rule.prefix || key.startsWith(rule.prefix)) &&
+                (!objectNameRegex || objectNameRegex.test(objectName));
+        }
+    };
+}
+
+function createRetentionRuleResolver(retentionRules = [], defaultRetention = {}) {
+    // Ordered rule sets, first match wins; anything unmatched uses config.retention
+    const rules = retentionRules.map((rule, index) => compileRetentionRule(rule, index, defaultRetention));
+    const fallback = { name: 'default', retention: defaultRetention };
+
+    return (bucketName, key, objectName) => {
+        return rules.find(rule => rule.matches(bucketName, key, objectName)) || fallback;
+    };
+}
+
+export {
+    globToRegExp,
+    createRetentionRuleResolver
+};
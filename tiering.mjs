@@ -0,0 +1,98 @@
+import utility from "./utility.mjs";
+
+// Warmest first; a transition only ever moves an object to a colder class
+const storageClassOrder = [
+    'STANDARD',
+    'INTELLIGENT_TIERING',
+    'STANDARD_IA',
+    'ONEZONE_IA',
+    'GLACIER_IR',
+    'GLACIER',
+    'DEEP_ARCHIVE'
+];
+const tieringTargets = new Set(['STANDARD_IA', 'GLACIER_IR', 'DEEP_ARCHIVE']);
+
+// USD per GB-month (us-east-1 list prices), override with tiering.pricesPerGbMonth
+const defaultPricesPerGbMonth = {
+    STANDARD: 0.023,
+    INTELLIGENT_TIERING: 0.023,
+    STANDARD_IA: 0.0125,
+    ONEZONE_IA: 0.01,
+    GLACIER_IR: 0.004,
+    GLACIER: 0.0036,
+    DEEP_ARCHIVE: 0.00099
+};
+
+function compileTieringRules(tieringRules = []) {
+    return tieringRules
+        .map(rule => {
+            if (!tieringTargets.has(rule.storageClass)) {
+                throw new Error(`Unsupported tiering storage class: ${rule.storageClass}`);
+            }
+            if (!(rule.afterDays >= 0)) {
+                throw new Error(`Invalid tiering afterDays for ${rule.storageClass}: ${rule.afterDays}`);
+            }
+            return { afterDays: rule.afterDays, storageClass: rule.storageClass };
+        })
+        // Oldest threshold first, so the first rule a backup has reached wins
+        .sort((a, b) => b.afterDays - a.afterDays);
+}
+
+function getTieringTarget(compiledRules, ageDays, currentStorageClass) {
+    const rule = compiledRules.find(rule => ageDays >= rule.afterDays);
+    if (!rule) return null;
+
+    // Objects already in the target class (or a colder one) are left alone, which is
+    // also what keeps repeated runs from copying them again
+    // GLACIER objects cannot be copied without a restore first, so they stay put too
+    const currentRank = storageClassOrder.indexOf(currentStorageClass || 'STANDARD');
+    if (currentRank === -1 || currentStorageClass === 'GLACIER' ||
+        currentRank >= storageClassOrder.indexOf(rule.storageClass)) {
+        return null;
+    }
+    return rule;
+}
+
+function estimateMonthlySavings(candidates, pricesPerGbMonth = {}) {
+    const prices = { ...defaultPricesPerGbMonth, ...pricesPerGbMonth };
+    const savings = candidates.reduce((total, candidate) => {
+        const sizeGb = (candidate.size || 0) / (1024 * 1024 * 1024);
+        return total + sizeGb * (prices[candidate.storageClass] - prices[candidate.targetStorageClass]);
+    }, 0);
+    return Math.round(savings * 100) / 100;
+}
+
+// In-place copy with the new storage class; returns the same shape as deleteS3Objects
+async function transitionS3Objects(s3Client, bucketName, candidates) {
+    const results = {
+        successful: [],
+        failed: []
+    };
+
+    for (const candidate of candidates) {
+        try {
+            await utility.copyS3Object(s3Client, {
+                sourceBucket: bucketName,
+                sourceKey: candidate.key,
+                targetBucket: bucketName,
+                targetKey: candidate.key,
+                size: candidate.size,
+                storageClass: candidate.targetStorageClass
+            });
+            results.successful.push(candidate.key);
+        } catch (error) {
+            console.error(`Error moving ${candidate.key} to ${candidate.targetStorageClass}:`, error);
+            results.failed.push({ key: candidate.key, error: error.message, bucket: bucketName });
+        }
+    }
+
+    return results;
+}
+
+export {
+    defaultPricesPerGbMonth,
+    compileTieringRules,
+    getTieringTarget,
+    estimateMonthlySavings,
+    transitionS3Objects
+};
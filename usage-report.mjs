@@ -0,0 +1,352 @@
+import fs from "fs/promises";
+import { existsSync, readFileSync, statSync } from "fs";
+import dayjs from 'dayjs';
+import ObjectsToCsv from "objects-to-csv";
+import ActionBase from "./action-base.mjs";
+import { applyRetentionPolicy } from "./retention-policy.mjs";
+import { defaultPricesPerGbMonth, estimateMonthlySavings } from "./tiering.mjs";
+import { isQuarantineKey } from "./quarantine.mjs";
+import { getSidecarExtensions, createBackupKeyFilter } from "./listing-filter.mjs";
+import { readListingFile } from "./listing-file.mjs";
+import { escapeHtml } from "./retention-report.mjs";
+import { exitCodes } from "./cli.mjs";
+import utility from "./utility.mjs";
+
+const bytesPerGb = 1024 * 1024 * 1024;
+// Keys that do not parse as backups, and quarantined copies kept in the bucket
+const otherName = '(other)';
+const quarantineName = '(quarantine)';
+const dimensions = ['byObject', 'byType', 'byStorageClass', 'byMonth'];
+
+function getHistoryFile(bucketName) {
+    return `output/${bucketName}.usage-history.json`;
+}
+
+function readUsageHistory(bucketName) {
+    const historyFile = getHistoryFile(bucketName);
+    if (!existsSync(historyFile)) return { snapshots: [] };
+    try {
+        return JSON.parse(readFileSync(historyFile, 'utf8'));
+    } catch (e) {
+        return { snapshots: [] };
+    }
+}
+
+function newStats() {
+    return { count: 0, bytes: 0, monthlyCost: 0, reclaimableCount: 0, reclaimableBytes: 0, reclaimableMonthlyCost: 0 };
+}
+
+function addToStats(stats, { size, cost, reclaimable }) {
+    stats.count++;
+    stats.bytes += size;
+    stats.monthlyCost += cost;
+    if (reclaimable) {
+        stats.reclaimableCount++;
+        stats.reclaimableBytes += size;
+        stats.reclaimableMonthlyCost += cost;
+    }
+}
+
+function roundCost(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function roundStats(stats) {
+    return { ...stats, monthlyCost: roundCost(stats.monthlyCost), reclaimableMonthlyCost: roundCost(stats.reclaimableMonthlyCost) };
+}
+
+// Growth of the backup bytes since a baseline, extrapolated to 30 days
+function compareWithBaseline(baseline, current, now) {
+    const days = now.diff(dayjs(baseline.takenAt), 'day', true);
+    const deltaBytes = current.bytes - baseline.bytes;
+    return {
+        baseline: baseline.label,
+        takenAt: baseline.takenAt,
+        days: Math.round(days * 10) / 10,
+        count: baseline.count,
+        bytes: baseline.bytes,
+        deltaCount: current.count - baseline.count,
+        deltaBytes,
+        deltaPercent: baseline.bytes > 0 ? Math.round((deltaBytes / baseline.bytes) * 1000) / 10 : null,
+        bytesPerMonth: days >= 1 ? Math.round((deltaBytes / days) * 30) : null,
+        ...(baseline.byObject && {
+            byObject: Object.fromEntries(Object.entries(current.byObject).map(([objectName, { bytes }]) =>
+                [objectName, { bytes, deltaBytes: bytes - (baseline.byObject[objectName]?.bytes || 0) }]))
+        })
+    };
+}
+
+function formatTable(columns, rows) {
+    const widths = columns.map(column => Math.max(column.length, ...rows.map(row => String(row[column]).length)));
+    const formatRow = row => columns.map((column, i) => String(row[column]).padEnd(widths[i])).join('  ').trimEnd();
+    return [
+        formatRow(Object.fromEntries(columns.map(column => [column, column.toUpperCase()]))),
+        ...rows.map(formatRow)
+    ].join('\n');
+}
+
+function renderStatsTable(title, byKey, currency) {
+    const rows = Object.entries(byKey).map(([name, stats]) => `<tr><td>${escapeHtml(name)}</td><td>${stats.count}</td>` +
+        `<td>${escapeHtml(utility.formatSize(stats.bytes))}</td><td>${stats.monthlyCost.toFixed(2)}</td>` +
+        `<td>${escapeHtml(utility.formatSize(stats.reclaimableBytes))}</td><td>${stats.reclaimableMonthlyCost.toFixed(2)}</td></tr>`);
+    return `<h3>${escapeHtml(title)}</h3>
+<table>
+<thead><tr><th></th><th>objects</th><th>size</th><th>${escapeHtml(currency)}/month</th><th>reclaimable</th><th>reclaimable ${escapeHtml(currency)}/month</th></tr></thead>
+<tbody>
+${rows.join('\n')}
+</tbody>
+</table>`;
+}
+
+function renderHtml(buckets, { generatedAt, currency }) {
+    const sections = buckets.map(usage => {
+        const growth = usage.growth.map(entry => `<li>since ${escapeHtml(entry.baseline)} (${escapeHtml(entry.takenAt)}): ` +
+            `${entry.deltaBytes >= 0 ? '+' : '-'}${escapeHtml(utility.formatSize(Math.abs(entry.deltaBytes)))}` +
+            `${entry.deltaPercent === null ? '' : ` (${entry.deltaPercent}%)`}</li>`).join('');
+        return `<h2>${escapeHtml(usage.bucket)}</h2>
+<p>${usage.totals.count} objects, ${escapeHtml(utility.formatSize(usage.totals.bytes))}, ${usage.totals.monthlyCost.toFixed(2)} ${escapeHtml(currency)} per month.
+The retention policy would reclaim ${escapeHtml(utility.formatSize(usage.totals.reclaimableBytes))} (${usage.totals.reclaimableMonthlyCost.toFixed(2)} ${escapeHtml(currency)} per month).</p>
+${growth ? `<ul>${growth}</ul>` : ''}
+${renderStatsTable('By database', usage.byObject, currency)}
+${renderStatsTable('By backup type', usage.byType, currency)}
+${renderStatsTable('By storage class', usage.byStorageClass, currency)}
+${renderStatsTable('By month', usage.byMonth, currency)}`;
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Storage usage report</title>
+<style>
+body { font-family: sans-serif; margin: 1.5em; }
+table { border-collapse: collapse; font-size: 0.85em; margin-bottom: 1em; }
+th, td { border: 1px solid #ccc; padding: 0.25em 0.5em; text-align: left; }
+th { background: #eee; }
+</style>
+</head>
+<body>
+<h1>Storage usage report</h1>
+<p>Generated ${escapeHtml(generatedAt)}</p>
+${sections}
+</body>
+</html>
+`;
+}
+
+class UsageReport extends ActionBase {
+
+    static description = 'Report bytes, object counts and monthly cost per database, backup type, storage class and month, with growth and what retention would reclaim';
+    static args = {
+        bucket: { type: 'string', description: 'Only report on this configured bucket' },
+        record: { type: 'boolean', description: 'Add this run to output/<bucket>.usage-history.json for later growth comparisons', default: true }
+    };
+
+    constructor({ bucket, record = true, logger = console }) {
+        super();
+        this.logger = logger;
+        this.bucket = bucket;
+        this.record = record;
+        this.exitCode = exitCodes.success;
+    }
+
+    getPrices(config) {
+        // One price table can serve tiering and this report; usage.pricesPerGbMonth wins
+        return { ...defaultPricesPerGbMonth, ...config.tiering?.pricesPerGbMonth, ...config.usage?.pricesPerGbMonth };
+    }
+
+    // The saved listing of the last prune run, as a baseline for growth
+    readListingBaseline(bucketName) {
+        const listFile = `output/${bucketName}.list.json`;
+        if (!existsSync(listFile)) return null;
+        try {
+            const objects = readListingFile(listFile);
+            return {
+                label: 'saved listing',
+                takenAt: statSync(listFile).mtime.toISOString(),
+                count: objects.length,
+                bytes: objects.reduce((total, obj) => total + (obj.Size || 0), 0)
+            };
+        } catch (e) {
+            return null;
+        }
+    }
+
+    async reportBucket(s3Client, config, bucketName, now) {
+        const isBackupKey = createBackupKeyFilter(config, bucketName);
+        const prices = this.getPrices(config);
+        const objects = [];
+        const quarantined = [];
+        for await (const page of utility.iterateS3ObjectPages(s3Client, bucketName, config.prefix)) {
+            page.forEach(obj => {
+                const compact = { ...utility.compactObject(obj), bucketName };
+                if (isBackupKey(obj.Key)) objects.push(compact);
+                else if (isQuarantineKey(config.quarantine, bucketName, obj.Key)) quarantined.push(compact);
+            });
+        }
+
+        // The same policy a prune run would apply decides what is reclaimable
+        const result = applyRetentionPolicy(objects, config.retention, {
+            namingSchemes: config.namingSchemes,
+            retentionRules: config.retentionRules,
+            sidecarExtensions: getSidecarExtensions(config),
+            timezone: config.timezone,
+            now
+        });
+        const decisionByKey = new Map(result.decisions.map(decision => [decision.key, decision]));
+
+        const totals = newStats();
+        const policyQuarantine = newStats();
+        const byDimension = Object.fromEntries(dimensions.map(dimension => [dimension, {}]));
+        const rowsByKey = new Map();
+        const unpriced = new Set();
+        const add = (obj, decision) => {
+            const size = obj.Size || 0;
+            const storageClass = obj.StorageClass || 'STANDARD';
+            const price = prices[storageClass];
+            if (price === undefined) unpriced.add(storageClass);
+            const cost = (size / bytesPerGb) * (price || 0);
+            const reclaimable = decision?.decision === 'delete';
+            // Backup months come from the name, anything else from LastModified
+            const lastModified = config.timezone ? dayjs(obj.LastModified).tz(config.timezone) : dayjs(obj.LastModified);
+            const month = decision?.timestamp ? decision.timestamp.slice(0, 7) : lastModified.format('YYYY-MM');
+            const objectName = decision ? decision.objectName ?? otherName : quarantineName;
+            const type = decision ? decision.type ?? otherName : quarantineName;
+            const entry = { size, cost, reclaimable };
+
+            addToStats(totals, entry);
+            if (decision?.decision === 'quarantine') addToStats(policyQuarantine, entry);
+            [['byObject', objectName], ['byType', type], ['byStorageClass', storageClass], ['byMonth', month]]
+                .forEach(([dimension, name]) => {
+                    byDimension[dimension][name] ??= newStats();
+                    addToStats(byDimension[dimension][name], entry);
+                });
+
+            const rowKey = [objectName, type, storageClass, month].join('\0');
+            if (!rowsByKey.has(rowKey)) rowsByKey.set(rowKey, { bucket: bucketName, objectName, type, storageClass, month, ...newStats() });
+            addToStats(rowsByKey.get(rowKey), entry);
+        };
+        objects.forEach(obj => add(obj, decisionByKey.get(obj.Key) || {}));
+        quarantined.forEach(obj => add(obj, null));
+
+        // Growth is measured on the backups themselves, like the saved listing holds them
+        const current = {
+            count: objects.length,
+            bytes: objects.reduce((total, obj) => total + (obj.Size || 0), 0),
+            byObject: Object.fromEntries(Object.entries(byDimension.byObject)
+                .filter(([objectName]) => objectName !== quarantineName)
+                .map(([objectName, { count, bytes }]) => [objectName, { count, bytes }]))
+        };
+        const history = readUsageHistory(bucketName);
+        const snapshots = history.snapshots || [];
+        const baselines = [
+            snapshots.length > 0 && { label: 'previous report', ...snapshots[snapshots.length - 1] },
+            snapshots.length > 1 && { label: 'oldest report', ...snapshots[0] },
+            this.readListingBaseline(bucketName)
+        ].filter(Boolean);
+
+        const sortByName = byKey => Object.fromEntries(Object.keys(byKey).sort().map(name => [name, roundStats(byKey[name])]));
+        const usage = {
+            bucket: bucketName,
+            totals: roundStats(totals),
+            policyQuarantine: roundStats(policyQuarantine),
+            tieringSavingsPerMonth: result.tieringCandidates.length > 0
+                ? estimateMonthlySavings(result.tieringCandidates, prices)
+                : 0,
+            ...Object.fromEntries(dimensions.map(dimension => [dimension, sortByName(byDimension[dimension])])),
+            growth: baselines.map(baseline => compareWithBaseline(baseline, current, now)),
+            unpricedStorageClasses: [...unpriced],
+            rows: [...rowsByKey.values()]
+                .sort((a, b) => a.objectName.localeCompare(b.objectName) || a.type.localeCompare(b.type) ||
+                    a.month.localeCompare(b.month) || a.storageClass.localeCompare(b.storageClass))
+                .map(roundStats)
+        };
+
+        if (this.record) {
+            const historySize = config.usage?.historySize ?? 60;
+            const updated = [...snapshots, { takenAt: now.toISOString(), ...current }].slice(-Math.max(historySize, 1));
+            await fs.mkdir('output', { recursive: true });
+            await fs.writeFile(getHistoryFile(bucketName), JSON.stringify({ snapshots: updated }, null, 2), 'utf8');
+        }
+        return usage;
+    }
+
+    logSummary(usage, currency) {
+        const money = value => `${value.toFixed(2)} ${currency}`;
+        const rows = Object.entries(usage.byObject).map(([database, stats]) => ({
+            database,
+            objects: stats.count,
+            size: utility.formatSize(stats.bytes),
+            perMonth: money(stats.monthlyCost),
+            reclaimable: utility.formatSize(stats.reclaimableBytes),
+            reclaimablePerMonth: money(stats.reclaimableMonthlyCost)
+        }));
+        this.logger.info(`\n${usage.bucket}: ${usage.totals.count} objects, ${utility.formatSize(usage.totals.bytes)}, ${money(usage.totals.monthlyCost)} per month`);
+        if (rows.length > 0) {
+            this.logger.info(formatTable(['database', 'objects', 'size', 'perMonth', 'reclaimable', 'reclaimablePerMonth'], rows));
+        }
+        this.logger.info(`Retention would reclaim ${utility.formatSize(usage.totals.reclaimableBytes)} (${money(usage.totals.reclaimableMonthlyCost)} per month)`);
+        usage.growth.forEach(entry => this.logger.info(`Since ${entry.baseline} (${entry.takenAt}): ` +
+            `${entry.deltaBytes >= 0 ? '+' : '-'}${utility.formatSize(Math.abs(entry.deltaBytes))}` +
+            `${entry.deltaPercent === null ? '' : ` (${entry.deltaPercent}%)`}` +
+            `${entry.bytesPerMonth === null ? '' : `, ${utility.formatSize(Math.abs(entry.bytesPerMonth))} per month`}`));
+        if (usage.unpricedStorageClasses.length > 0) {
+            this.logger.warn(`No price for storage class ${usage.unpricedStorageClasses.join(', ')}; set usage.pricesPerGbMonth to include it in the costs`);
+        }
+    }
+
+    async run(config) {
+        const buckets = this.bucket ? config.buckets.filter(bucket => bucket === this.bucket) : config.buckets;
+        const currency = config.usage?.currency || 'USD';
+        const now = config.timezone ? dayjs().tz(config.timezone) : dayjs();
+        const s3Client = utility.createS3Client(config);
+        const usages = [];
+        const failedBuckets = [];
+
+        try {
+            for (const bucketName of buckets) {
+                try {
+                    const usage = await this.reportBucket(s3Client, config, bucketName, now);
+                    this.logSummary(usage, currency);
+                    usages.push(usage);
+                } catch (error) {
+                    this.logger.error(`Error reporting on bucket ${bucketName}:`, error);
+                    failedBuckets.push({ bucket: bucketName, error: error.message });
+                }
+            }
+        } finally {
+            await s3Client.destroy();
+        }
+
+        const generatedAt = dayjs().format('YYYY-MM-DD HH:mm:ss');
+        const basePath = `output/usage-report-${buckets.join('_')}-${dayjs().format('YYYYMMDD-HHmmss')}`;
+        const files = { json: `${basePath}.json`, csv: `${basePath}.csv`, html: `${basePath}.html` };
+        await fs.mkdir('output', { recursive: true });
+        await fs.writeFile(files.json, JSON.stringify({ generatedAt, currency, failedBuckets, buckets: usages }, null, 2), 'utf8');
+        const rows = usages.flatMap(usage => usage.rows);
+        if (rows.length > 0) {
+            await new ObjectsToCsv(rows).toDisk(files.csv);
+        } else {
+            delete files.csv;
+        }
+        await fs.writeFile(files.html, renderHtml(usages, { generatedAt, currency }), 'utf8');
+        this.logger.info('\nUsage report written to:', files);
+
+        if (failedBuckets.length > 0) {
+            this.exitCode = exitCodes.error;
+        }
+        return {
+            files,
+            failedBuckets,
+            buckets: usages.map(({ bucket, totals, growth }) => ({ bucket, totals, growth: growth.map(({ byObject, ...entry }) => entry) }))
+        };
+    }
+
+    async cleanup() {
+        if (this.exitCode !== exitCodes.success) {
+            process.exitCode = this.exitCode;
+        }
+    }
+}
+
+export default UsageReport;
@@ -1,17 +1,265 @@
 import {
     S3Client,
     ListObjectsV2Command,
-    DeleteObjectsCommand
+    DeleteObjectsCommand,
+    CopyObjectCommand,
+    HeadObjectCommand,
+    CreateMultipartUploadCommand,
+    UploadPartCopyCommand,
+    CompleteMultipartUploadCommand,
+    AbortMultipartUploadCommand
 } from "@aws-sdk/client-s3";
+import { defaultProvider } from "@aws-sdk/credential-provider-node";
+
+// CopyObject handles at most 5 GiB; anything larger needs a multipart copy
+const maxSingleCopySize = 5 * 1024 * 1024 * 1024;
+const minCopyPartSize = 512 * 1024 * 1024;
+const maxCopyParts = 10000;
+
+// Per-key DeleteObjects errors worth another attempt; whole requests are retried by the SDK
+const retryableErrorCodes = new Set(['SlowDown', 'InternalError', 'ServiceUnavailable', 'RequestTimeout']);
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Exponential backoff with full jitter
+function getRetryDelay(attempt, baseDelayMs = 200, maxDelayMs = 20000) {
+    return Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+}
+
+// Run fn over items with at most `concurrency` calls in flight; results keep the item order
+async function mapWithConcurrency(items, concurrency, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency || 1, items.length)) }, worker));
+    return results;
+}
+
+const sizeUnits = ['B', 'KiB', 'MiB', 'GiB', 'TiB', 'PiB'];
+
+// Bytes from a number or a string like "500MB" or "1.5GiB"; units are powers of 1024
+function parseSize(value) {
+    if (typeof value === 'number') return value;
+    const match = /^\s*(\d+(?:\.\d+)?)\s*([kmgtp]?)(?:i?b)?\s*$/i.exec(String(value));
+    if (!match) throw new Error(`Invalid size: ${value} (use e.g. 500MB or 1.5GiB)`);
+    return Math.round(Number(match[1]) * 1024 ** ' kmgtp'.indexOf(match[2].toLowerCase() || ' '));
+}
+
+function formatSize(bytes) {
+    if (typeof bytes !== 'number') return '';
+    let unit = 0;
+    while (bytes >= 1024 && unit < sizeUnits.length - 1) {
+        bytes /= 1024;
+        unit++;
+    }
+    return `${unit === 0 ? bytes : bytes.toFixed(1)} ${sizeUnits[unit]}`;
+}
+
+// Pages of a listing as they arrive, so callers can trim each page before the next one is fetched
+async function* iterateS3ObjectPages(s3Client, bucketName, prefix = '') {
+    let continuationToken;
+
+    do {
+        try {
+            const command = new ListObjectsV2Command({
+                Bucket: bucketName,
+                Prefix: prefix,
+                ContinuationToken: continuationToken
+            });
+
+            const response = await s3Client.send(command);
+            continuationToken = response.NextContinuationToken;
+            yield response.Contents || [];
+        } catch (error) {
+            console.error(`Error listing objects in bucket ${bucketName}:`, error);
+            throw error;
+        }
+    } while (continuationToken);
+}
+
+async function listS3Objects(s3Client, bucketName, prefix = '') {
+    const objects = [];
+    for await (const page of iterateS3ObjectPages(s3Client, bucketName, prefix)) {
+        objects.push(...page);
+    }
+    return objects;
+}
+
+// The listing fields the tool uses, without owner and checksum details
+function compactObject({ Key, Size, LastModified, ETag, StorageClass }) {
+    return { Key, Size, LastModified, ETag, StorageClass };
+}
+
+function toDeleteItem(item) {
+    return typeof item === 'string' ? { Key: item } : { Key: item.key, VersionId: item.versionId };
+}
+
+function toFailure(item, error, bucketName) {
+    return {
+        key: typeof item === 'string' ? item : item.key,
+        versionId: typeof item === 'string' ? undefined : item.versionId,
+        error,
+        bucket: bucketName
+    };
+}
+
+async function deleteS3Batch(s3Client, bucketName, batch, options) {
+    const { bypassGovernanceRetention = false, maxRetries = 5, retryBaseDelayMs = 200 } = options;
+    const results = { successful: [], failed: [] };
+    let pending = batch;
+
+    for (let attempt = 0; pending.length > 0; attempt++) {
+        const command = new DeleteObjectsCommand({
+            Bucket: bucketName,
+            BypassGovernanceRetention: bypassGovernanceRetention || undefined,
+            Delete: {
+                Objects: pending.map(toDeleteItem),
+                Quiet: false
+            }
+        });
+
+        let response;
+        try {
+            response = await s3Client.send(command);
+        } catch (error) {
+            console.error(`Error during batch deletion in bucket ${bucketName}:`, error);
+            results.failed.push(...pending.map(item => toFailure(item, error.message, bucketName)));
+            break;
+        }
+
+        if (response.Deleted) {
+            results.successful.push(...response.Deleted.map(obj => obj.VersionId
+                ? { key: obj.Key, versionId: obj.VersionId }
+                : obj.Key));
+        }
+
+        // Throttled keys go round again after a backoff, everything else fails for good
+        const retry = [];
+        (response.Errors || []).forEach(error => {
+            const item = error.VersionId ? { key: error.Key, versionId: error.VersionId } : error.Key;
+            if (retryableErrorCodes.has(error.Code) && attempt < maxRetries) {
+                retry.push(item);
+            } else {
+                results.failed.push(toFailure(item, error.Message, bucketName));
+            }
+        });
+        pending = retry;
+        if (pending.length > 0) {
+            await sleep(getRetryDelay(attempt, retryBaseDelayMs));
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Keys are plain strings, or { key, versionId } to delete a specific object version.
+ * Batches of 1000 run `concurrency` at a time; onProgress gets the running count of
+ * deleted keys after each batch.
+ */
+async function deleteS3Objects(s3Client, bucketName, keys, options = {}) {
+    const { concurrency = 1, onProgress } = options;
+    const chunkSize = 1000;
+    const chunks = [];
+
+    for (let i = 0; i < keys.length; i += chunkSize) {
+        chunks.push(keys.slice(i, i + chunkSize));
+    }
+
+    const deletionResults = {
+        successful: [],
+        failed: []
+    };
+
+    await mapWithConcurrency(chunks, concurrency, async chunk => {
+        const batchResults = await deleteS3Batch(s3Client, bucketName, chunk, options);
+        deletionResults.successful.push(...batchResults.successful);
+        deletionResults.failed.push(...batchResults.failed);
+        if (onProgress) onProgress(deletionResults.successful.length);
+    });
+
+    return deletionResults;
+}
+
+function getCopySource(bucketName, key) {
+    return `${bucketName}/${encodeURIComponent(key)}`;
+}
+
+async function copyS3Object(s3Client, { sourceBucket, sourceKey, targetBucket, targetKey, size, storageClass }) {
+    if (!(size > maxSingleCopySize)) {
+        await s3Client.send(new CopyObjectCommand({
+            Bucket: targetBucket,
+            Key: targetKey,
+            CopySource: getCopySource(sourceBucket, sourceKey),
+            StorageClass: storageClass || undefined
+        }));
+        return;
+    }
+
+    // Unlike CopyObject, a multipart copy does not carry the source metadata over
+    const source = await s3Client.send(new HeadObjectCommand({ Bucket: sourceBucket, Key: sourceKey }));
+    const { UploadId } = await s3Client.send(new CreateMultipartUploadCommand({
+        Bucket: targetBucket,
+        Key: targetKey,
+        StorageClass: storageClass || undefined,
+        ContentType: source.ContentType,
+        ContentEncoding: source.ContentEncoding,
+        ContentDisposition: source.ContentDisposition,
+        CacheControl: source.CacheControl,
+        Metadata: source.Metadata
+    }));
+
+    try {
+        const partSize = Math.max(minCopyPartSize, Math.ceil(size / maxCopyParts));
+        const parts = [];
+        for (let start = 0, partNumber = 1; start < size; start += partSize, partNumber++) {
+            const end = Math.min(start + partSize, size) - 1;
+            const response = await s3Client.send(new UploadPartCopyCommand({
+                Bucket: targetBucket,
+                Key: targetKey,
+                UploadId,
+                PartNumber: partNumber,
+                CopySource: getCopySource(sourceBucket, sourceKey),
+                CopySourceRange: `bytes=${start}-${end}`
+            }));
+            parts.push({ ETag: response.CopyPartResult.ETag, PartNumber: partNumber });
+        }
+
+        await s3Client.send(new CompleteMultipartUploadCommand({
+            Bucket: targetBucket,
+            Key: targetKey,
+            UploadId,
+            MultipartUpload: { Parts: parts }
+        }));
+    } catch (error) {
+        await s3Client.send(new AbortMultipartUploadCommand({ Bucket: targetBucket, Key: targetKey, UploadId }))
+            .catch(abortError => console.error(`Error aborting multipart copy of ${sourceKey}:`, abortError));
+        throw error;
+    }
+}
 
 export default {
-    createS3Client: (config) => {
+    createS3Client: (config, clientOptions = {}) => {
         // Initialize S3 client with configuration
         const s3Config = {
-            region: config.aws.region,
-            credentials: config.aws.credentials
+            region: config.aws.region
         };
 
+        // Without keys in the config the SDK's default chain applies: AWS_* environment
+        // variables, shared config and credentials files, SSO and instance roles
+        if (config.aws.credentials?.accessKeyId) {
+            s3Config.credentials = config.aws.credentials;
+        } else if (config.aws.profile) {
+            s3Config.credentials = defaultProvider({ profile: config.aws.profile });
+        }
+
         // Add optional S3 configurations
         if (config.aws.endpoint) {
             s3Config.endpoint = config.aws.endpoint;
@@ -19,9 +267,24 @@ export default {
             s3Config.useArnRegion = config.aws.useArnRegion ?? true;
         }
 
+        // Adaptive retries back off on SlowDown and 503 responses and rate-limit the client
+        const maxRetries = config.performance?.maxRetries ?? 5;
         return new S3Client({
             region: 'us-east-1',
-            ...s3Config
+            maxAttempts: maxRetries + 1,
+            retryMode: 'adaptive',
+            ...s3Config,
+            ...clientOptions
         });
-    }
+    },
+
+    iterateS3ObjectPages,
+    listS3Objects,
+    compactObject,
+    mapWithConcurrency,
+    parseSize,
+    formatSize,
+    deleteS3Objects,
+    copyS3Object,
+    maxSingleCopySize
 }
\ No newline at end of file
@@ -0,0 +1,42 @@
+import ActionBase from "./action-base.mjs";
+import { validateConfig, redactConfig } from "./config-schema.mjs";
+import { exitCodes } from "./cli.mjs";
+
+class ValidateConfig extends ActionBase {
+
+    static description = 'Print the effective config of every entry and report errors';
+
+    constructor({ logger = console }) {
+        super();
+        this.logger = logger;
+        this.entries = 0;
+        this.invalidEntries = 0;
+    }
+
+    async run(config) {
+        this.entries++;
+        const errors = validateConfig(config);
+        const buckets = Array.isArray(config.buckets) ? config.buckets.join(',') : config.buckets;
+
+        this.logger.info(`\nConfig entry ${this.entries} (${config.aws?.endpoint || 'AWS'} - ${buckets}):`);
+        this.logger.info(JSON.stringify(redactConfig(config), null, 2));
+
+        if (errors.length === 0) {
+            this.logger.info('Valid');
+        } else {
+            this.invalidEntries++;
+            this.logger.error(`${errors.length} error${errors.length > 1 ? 's' : ''}:`);
+            errors.forEach(error => this.logger.error(`  - ${error}`));
+        }
+        return { valid: errors.length === 0, errors, config: redactConfig(config) };
+    }
+
+    async cleanup() {
+        if (this.invalidEntries > 0) {
+            this.logger.error(`\n${this.invalidEntries} of ${this.entries} config entries are invalid`);
+            process.exitCode = exitCodes.config;
+        }
+    }
+}
+
+export default ValidateConfig;
@@ -0,0 +1,297 @@
+import { createHash } from "crypto";
+import { existsSync, readFileSync } from "fs";
+import { basename } from "path";
+import { GetObjectCommand, HeadObjectCommand } from "@aws-sdk/client-s3";
+
+const defaultSidecarExtensions = ['.sha256', '.md5'];
+// Archived objects have to be restored before their body can be read
+const archiveStorageClasses = new Set(['GLACIER', 'DEEP_ARCHIVE']);
+
+const crc32cTable = Int32Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0x82F63B78 ^ (c >>> 1) : c >>> 1;
+    }
+    return c;
+});
+
+function updateCrc32c(crc, buffer) {
+    crc = ~crc;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = crc32cTable[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return ~crc;
+}
+
+function crc32cDigest(crc) {
+    const digest = Buffer.alloc(4);
+    digest.writeUInt32BE(crc >>> 0);
+    return digest;
+}
+
+/**
+ * Sidecar checksum files sit next to their backup (<key>.sha256). Returns key => the key of
+ * the listed backup a sidecar belongs to, or null for anything else.
+ */
+function createSidecarResolver(keys, extensions = []) {
+    return key => {
+        const extension = extensions.find(ext => key.endsWith(ext) && keys.has(key.slice(0, -ext.length)));
+        return extension ? key.slice(0, -extension.length) : null;
+    };
+}
+
+function getVerificationStateFile(bucketName) {
+    return `output/${bucketName}.verified.json`;
+}
+
+function readVerificationState(bucketName) {
+    const stateFile = getVerificationStateFile(bucketName);
+    if (!existsSync(stateFile)) return { backups: {} };
+    try {
+        return JSON.parse(readFileSync(stateFile, 'utf8'));
+    } catch (e) {
+        return { backups: {} };
+    }
+}
+
+// Keys of every backup whose last verification passed, for the requireVerifiedFull guardrail
+function readVerifiedKeys(bucketName) {
+    const { backups } = readVerificationState(bucketName);
+    return new Set(Object.values(backups)
+        .filter(backup => backup.verifiedAt)
+        .flatMap(backup => backup.keys));
+}
+
+/**
+ * Hashes a body as it streams past: MD5, SHA-256 and CRC32C of the whole object plus,
+ * when partSize is known, of every upload part, so multipart ETags and composite S3
+ * checksums ("<digest>-<parts>") can be recomputed.
+ */
+function createBodyHasher({ partSize, crc32c = false } = {}) {
+    const newState = () => ({ md5: createHash('md5'), sha256: createHash('sha256'), crc32c: 0 });
+    const whole = newState();
+    const parts = [];
+    let part = null;
+    let partBytes = 0;
+    let size = 0;
+
+    const updateState = (state, chunk) => {
+        state.md5.update(chunk);
+        state.sha256.update(chunk);
+        if (crc32c) state.crc32c = updateCrc32c(state.crc32c, chunk);
+    };
+    const finishPart = () => {
+        parts.push({ md5: part.md5.digest(), sha256: part.sha256.digest(), crc32c: crc32cDigest(part.crc32c) });
+        part = null;
+        partBytes = 0;
+    };
+
+    return {
+        update(chunk) {
+            size += chunk.length;
+            updateState(whole, chunk);
+            if (!partSize) return;
+
+            let offset = 0;
+            while (offset < chunk.length) {
+                if (!part) part = newState();
+                const slice = chunk.subarray(offset, offset + partSize - partBytes);
+                updateState(part, slice);
+                partBytes += slice.length;
+                offset += slice.length;
+                if (partBytes === partSize) finishPart();
+            }
+        },
+
+        digest() {
+            if (part) finishPart();
+            const combine = (algorithm, digests) => createHash(algorithm).update(Buffer.concat(digests)).digest();
+            return {
+                size,
+                md5: whole.md5.digest('hex'),
+                sha256: whole.sha256.digest('hex'),
+                crc32c: crc32c ? crc32cDigest(whole.crc32c).toString('base64') : null,
+                multipartEtag: partSize ? `${combine('md5', parts.map(p => p.md5)).toString('hex')}-${parts.length}` : null,
+                compositeSha256: partSize ? `${combine('sha256', parts.map(p => p.sha256)).toString('base64')}-${parts.length}` : null,
+                compositeCrc32c: partSize && crc32c
+                    ? `${crc32cDigest(updateCrc32c(0, Buffer.concat(parts.map(p => p.crc32c)))).toString('base64')}-${parts.length}`
+                    : null
+            };
+        }
+    };
+}
+
+// The first hex token of a sha256sum/md5sum line; the digest length tells the algorithm
+function parseChecksum(text) {
+    const match = /^\s*([0-9a-f]{64}|[0-9a-f]{32})\b/i.exec(text);
+    if (!match) return null;
+    const hex = match[1].toLowerCase();
+    return hex.length === 64 ? { sha256: hex } : { md5: hex };
+}
+
+/**
+ * Expected checksums from a manifest: a JSON object of key -> hex digest (or
+ * { sha256, md5 }), or sha256sum/md5sum output. Entries are looked up by key and
+ * then by file name, since checksum tools usually record the local file name.
+ */
+function parseChecksumManifest(text) {
+    const entries = new Map();
+    const add = (name, checksum) => {
+        if (!checksum) return;
+        entries.set(name, { ...entries.get(name), ...checksum });
+        if (!entries.has(basename(name))) entries.set(basename(name), entries.get(name));
+    };
+
+    if (text.trimStart().startsWith('{')) {
+        Object.entries(JSON.parse(text)).forEach(([name, value]) => {
+            add(name, typeof value === 'string' ? parseChecksum(value) : {
+                ...(value.sha256 && { sha256: value.sha256.toLowerCase() }),
+                ...(value.md5 && { md5: value.md5.toLowerCase() })
+            });
+        });
+    } else {
+        text.split(/\r?\n/).forEach(line => {
+            const match = /^\s*([0-9a-f]+)\s+\*?(.+?)\s*$/i.exec(line);
+            if (match) add(match[2], parseChecksum(match[1]));
+        });
+    }
+
+    return key => entries.get(key) || entries.get(basename(key)) || null;
+}
+
+async function readObjectText(s3Client, bucketName, key) {
+    const response = await s3Client.send(new GetObjectCommand({ Bucket: bucketName, Key: key }));
+    return response.Body.transformToString('utf8');
+}
+
+// A manifest is a local path or an s3:// URL; {bucket} is replaced with the bucket name
+async function readChecksumManifest(s3Client, location, bucketName) {
+    const resolved = location.replace(/\{bucket\}/g, bucketName);
+    const match = /^s3:\/\/([^/]+)\/(.+)$/.exec(resolved);
+    const text = match
+        ? await readObjectText(s3Client, match[1], match[2])
+        : readFileSync(resolved, 'utf8');
+    return parseChecksumManifest(text);
+}
+
+async function readSidecarChecksum(s3Client, bucketName, sidecarKey) {
+    return parseChecksum(await readObjectText(s3Client, bucketName, sidecarKey));
+}
+
+function base64ToHex(value) {
+    return Buffer.from(value, 'base64').toString('hex');
+}
+
+function toCheck(source, algorithm, expected, actual) {
+    return { source, algorithm, expected, actual, match: expected === actual };
+}
+
+// What S3 recorded about an object's content at upload time, from HeadObject with ChecksumMode
+function getStoredChecksums(head) {
+    const etag = (head.ETag || '').replace(/"/g, '');
+    return {
+        size: head.ContentLength,
+        etag,
+        // With SSE-KMS or SSE-C the ETag is not an MD5 of the content
+        etagIsMd5: !!etag && !String(head.ServerSideEncryption || '').startsWith('aws:kms') && !head.SSECustomerAlgorithm,
+        sha256: head.ChecksumSHA256,
+        crc32c: head.ChecksumCRC32C
+    };
+}
+
+// Multipart ETags and composite checksums need the part size of the upload
+async function getUploadPartSize(s3Client, bucketName, key, stored) {
+    if (![stored.etag, stored.sha256, stored.crc32c].some(value => value?.includes('-'))) return null;
+    const firstPart = await s3Client.send(new HeadObjectCommand({ Bucket: bucketName, Key: key, PartNumber: 1 }));
+    return firstPart.ContentLength;
+}
+
+async function hashStream(stream, options) {
+    const hasher = createBodyHasher(options);
+    for await (const chunk of stream) {
+        hasher.update(chunk);
+    }
+    return hasher.digest();
+}
+
+// Compare the digest of a whole body with the expected checksums and with what S3 stored
+function compareDigest(digest, stored, expected = null) {
+    const checks = [toCheck('S3', 'size', stored.size, digest.size)];
+    if (expected?.sha256) checks.push(toCheck(expected.source, 'sha256', expected.sha256, digest.sha256));
+    if (expected?.md5) checks.push(toCheck(expected.source, 'md5', expected.md5, digest.md5));
+    if (stored.sha256) {
+        checks.push(toCheck('S3', 'ChecksumSHA256', stored.sha256,
+            stored.sha256.includes('-') ? digest.compositeSha256 : Buffer.from(digest.sha256, 'hex').toString('base64')));
+    }
+    if (stored.crc32c) {
+        checks.push(toCheck('S3', 'ChecksumCRC32C', stored.crc32c, stored.crc32c.includes('-') ? digest.compositeCrc32c : digest.crc32c));
+    }
+    if (stored.etagIsMd5) {
+        checks.push(toCheck('S3', 'ETag', stored.etag, stored.etag.includes('-') ? digest.multipartEtag : digest.md5));
+    }
+    return checks;
+}
+
+/**
+ * Verify one object. Expected checksums (from a sidecar file or manifest) are compared
+ * with what S3 stored at upload time where possible; otherwise, or with readBody, the body
+ * is streamed and hashed and compared with the expected checksums, the stored S3 checksums
+ * and the ETag. Returns { key, status: verified|mismatch|skipped|error, method, checks }.
+ */
+async function verifyS3Object(s3Client, bucketName, key, { expected = null, readBody = false } = {}) {
+    const checks = [];
+    const finish = (method, extra = {}) => ({
+        key,
+        status: checks.every(check => check.match) ? 'verified' : 'mismatch',
+        method,
+        checks,
+        ...extra
+    });
+
+    try {
+        const head = await s3Client.send(new HeadObjectCommand({ Bucket: bucketName, Key: key, ChecksumMode: 'ENABLED' }));
+        const stored = getStoredChecksums(head);
+
+        if (expected?.sha256 && stored.sha256 && !stored.sha256.includes('-')) {
+            checks.push(toCheck(expected.source, 'sha256', expected.sha256, base64ToHex(stored.sha256)));
+        }
+        if (expected?.md5 && stored.etagIsMd5 && !stored.etag.includes('-')) {
+            checks.push(toCheck(expected.source, 'md5', expected.md5, stored.etag));
+        }
+        if (checks.length > 0 && !readBody) {
+            return finish('checksum');
+        }
+
+        const archived = archiveStorageClasses.has(head.StorageClass) && !/ongoing-request="false"/.test(head.Restore || '');
+        if (archived) {
+            return checks.length > 0
+                ? finish('checksum')
+                : { key, status: 'skipped', method: null, checks, error: `${head.StorageClass} object is not restored` };
+        }
+
+        const partSize = await getUploadPartSize(s3Client, bucketName, key, stored);
+        const response = await s3Client.send(new GetObjectCommand({ Bucket: bucketName, Key: key }));
+        const digest = await hashStream(response.Body, { partSize, crc32c: !!stored.crc32c });
+        checks.push(...compareDigest(digest, stored, expected));
+        return finish('download', { sha256: digest.sha256 });
+    } catch (error) {
+        return { key, status: 'error', method: null, checks, error: error.message };
+    }
+}
+
+export {
+    archiveStorageClasses,
+    defaultSidecarExtensions,
+    createSidecarResolver,
+    getVerificationStateFile,
+    readVerificationState,
+    readVerifiedKeys,
+    createBodyHasher,
+    getStoredChecksums,
+    getUploadPartSize,
+    hashStream,
+    compareDigest,
+    readChecksumManifest,
+    readSidecarChecksum,
+    verifyS3Object
+};
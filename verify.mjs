@@ -0,0 +1,205 @@
+import fs from "fs/promises";
+import dayjs from 'dayjs';
+import ActionBase from "./action-base.mjs";
+import BackupObject from "./backup-object.mjs";
+import { createNamingSchemeResolver } from "./naming-schemes.mjs";
+import { applyRetentionPolicy } from "./retention-policy.mjs";
+import { getSidecarExtensions, createBackupKeyFilter } from "./listing-filter.mjs";
+import {
+    createSidecarResolver,
+    getVerificationStateFile,
+    readVerificationState,
+    readChecksumManifest,
+    readSidecarChecksum,
+    verifyS3Object
+} from "./verification.mjs";
+import { exitCodes } from "./cli.mjs";
+import utility from "./utility.mjs";
+
+// The worst part decides the status of a backup
+const statusOrder = ['verified', 'skipped', 'mismatch', 'error'];
+
+function worstStatus(statuses) {
+    return statuses.reduce((worst, status) => statusOrder.indexOf(status) > statusOrder.indexOf(worst) ? status : worst, 'verified');
+}
+
+class Verify extends ActionBase {
+
+    static description = 'Verify retained backups against S3 checksums, sidecar hash files or a checksum manifest';
+    static args = {
+        bucket: { type: 'string', description: 'Only verify this configured bucket' },
+        object: { type: 'string', description: 'Only verify backups of this database' },
+        sample: { type: 'integer', description: 'Backups to verify per bucket, least recently verified first; 0 verifies every retained backup (default verify.sampleSize)' },
+        readBodies: { type: 'boolean', description: 'Download and hash every object, even when stored checksums can be compared', default: false }
+    };
+
+    constructor({ bucket, object, sample, readBodies = false, logger = console }) {
+        super();
+        this.logger = logger;
+        this.bucket = bucket;
+        this.object = object;
+        this.sample = sample;
+        this.readBodies = readBodies;
+        this.exitCode = exitCodes.success;
+    }
+
+    // Retained backups are chosen by the same listing and policy a prune run would use
+    async listRetainedBackups(s3Client, config, bucketName, sidecarExtensions) {
+        const isBackupKey = createBackupKeyFilter(config, bucketName);
+        const objects = [];
+        for await (const page of utility.iterateS3ObjectPages(s3Client, bucketName, config.prefix)) {
+            page
+                .filter(obj => isBackupKey(obj.Key))
+                .forEach(obj => objects.push({ ...utility.compactObject(obj), bucketName }));
+        }
+
+        const result = applyRetentionPolicy(objects, config.retention, {
+            namingSchemes: config.namingSchemes,
+            retentionRules: config.retentionRules,
+            sidecarExtensions,
+            timezone: config.timezone
+        });
+
+        const keys = new Set(objects.map(obj => obj.Key));
+        const resolveSidecar = createSidecarResolver(keys, sidecarExtensions);
+        const retained = new Set(result.retainedBackups.filter(key => !resolveSidecar(key)));
+        const resolveNamingScheme = createNamingSchemeResolver(config.namingSchemes, config.timezone);
+
+        // backupId -> parts
+        const backups = new Map();
+        objects
+            .filter(obj => retained.has(obj.Key))
+            .map(obj => new BackupObject(obj.Key, bucketName, resolveNamingScheme(bucketName, obj.Key), obj))
+            .filter(backup => !this.object || backup.objectName === this.object)
+            .forEach(backup => {
+                if (!backups.has(backup.backupId)) backups.set(backup.backupId, []);
+                backups.get(backup.backupId).push(backup);
+            });
+        return { backups, keys };
+    }
+
+    // Never verified first, then the longest ago; newer backups go first among equals
+    selectSample(backups, state, sampleSize) {
+        const lastChecked = backupId => state.backups[backupId]?.checkedAt || '';
+        const sorted = [...backups.values()].sort((a, b) =>
+            lastChecked(a[0].backupId).localeCompare(lastChecked(b[0].backupId)) ||
+            b[0].datetime.unix() - a[0].datetime.unix());
+        return sampleSize > 0 ? sorted.slice(0, sampleSize) : sorted;
+    }
+
+    async getExpectedChecksum(s3Client, bucketName, key, { lookupManifest, sidecarExtensions, keys }) {
+        const fromManifest = lookupManifest?.(key);
+        if (fromManifest) return { source: 'manifest', ...fromManifest };
+
+        const sidecarExtension = sidecarExtensions.find(ext => keys.has(`${key}${ext}`));
+        if (!sidecarExtension) return null;
+        const fromSidecar = await readSidecarChecksum(s3Client, bucketName, `${key}${sidecarExtension}`);
+        return fromSidecar ? { source: `sidecar ${sidecarExtension}`, ...fromSidecar } : null;
+    }
+
+    async verifyBucket(s3Client, config, bucketName) {
+        const verifyConfig = config.verify || {};
+        const sidecarExtensions = getSidecarExtensions(config);
+        const sampleSize = this.sample ?? verifyConfig.sampleSize ?? 0;
+        const readBody = this.readBodies || !!verifyConfig.readBodies;
+
+        const { backups, keys } = await this.listRetainedBackups(s3Client, config, bucketName, sidecarExtensions);
+        const state = readVerificationState(bucketName);
+        const sample = this.selectSample(backups, state, sampleSize);
+        const lookupManifest = verifyConfig.manifest
+            ? await readChecksumManifest(s3Client, verifyConfig.manifest, bucketName)
+            : null;
+        this.logger.info(`${bucketName}: verifying ${sample.length} of ${backups.size} retained backups`);
+
+        const parts = sample.flat();
+        const partResults = await utility.mapWithConcurrency(parts, verifyConfig.concurrency, async backup => {
+            let expected = null;
+            try {
+                expected = await this.getExpectedChecksum(s3Client, bucketName, backup.key, { lookupManifest, sidecarExtensions, keys });
+            } catch (error) {
+                this.logger.warn(`Could not read checksum of ${backup.key}: ${error.message}`);
+            }
+            const result = await verifyS3Object(s3Client, bucketName, backup.key, { expected, readBody });
+            if (result.status !== 'verified') {
+                this.logger.warn(`[${bucketName}] ${backup.key}: ${result.status}${result.error ? ` - ${result.error}` : ''}`);
+            }
+            return result;
+        });
+        const resultByKey = new Map(partResults.map(result => [result.key, result]));
+
+        const checkedAt = new Date().toISOString();
+        const verified = sample.map(backupGroup => {
+            const backup = backupGroup[0];
+            const results = backupGroup.map(part => resultByKey.get(part.key));
+            const status = worstStatus(results.map(result => result.status));
+            const previousVerifiedAt = state.backups[backup.backupId]?.verifiedAt || null;
+            const entry = {
+                objectName: backup.objectName,
+                type: backup.type,
+                datetime: backup.datetime.toISOString(),
+                keys: backupGroup.map(part => part.key),
+                status,
+                checkedAt,
+                // A backup that fails loses its earlier verification; one that could not be read keeps it
+                verifiedAt: status === 'verified' ? checkedAt : status === 'skipped' ? previousVerifiedAt : null
+            };
+            state.backups[backup.backupId] = entry;
+            return { bucket: bucketName, backupId: backup.backupId, ...entry, parts: results };
+        });
+
+        // Backups that are no longer retained drop out of the state
+        const retainedIds = new Set(backups.keys());
+        Object.keys(state.backups)
+            .filter(backupId => !retainedIds.has(backupId) && (!this.object || state.backups[backupId].objectName === this.object))
+            .forEach(backupId => delete state.backups[backupId]);
+        await fs.mkdir('output', { recursive: true });
+        await fs.writeFile(getVerificationStateFile(bucketName),
+            JSON.stringify({ updatedAt: checkedAt, backups: state.backups }, null, 2), 'utf8');
+
+        return verified;
+    }
+
+    async run(config) {
+        const buckets = this.bucket ? config.buckets.filter(bucket => bucket === this.bucket) : config.buckets;
+        const s3Client = utility.createS3Client(config);
+        const backups = [];
+        const failedBuckets = [];
+
+        try {
+            for (const bucketName of buckets) {
+                try {
+                    backups.push(...await this.verifyBucket(s3Client, config, bucketName));
+                } catch (error) {
+                    this.logger.error(`Error verifying bucket ${bucketName}:`, error);
+                    failedBuckets.push({ bucket: bucketName, error: error.message });
+                }
+            }
+        } finally {
+            await s3Client.destroy();
+        }
+
+        const counts = Object.fromEntries(statusOrder.map(status => [status, backups.filter(backup => backup.status === status).length]));
+        backups.forEach(backup => this.logger.info(
+            `${backup.status.toUpperCase().padEnd(8)}  ${backup.bucket}  ${backup.backupId} (${backup.type}, ${backup.keys.length} part${backup.keys.length > 1 ? 's' : ''})`));
+        this.logger.info(`\nVerified ${counts.verified} of ${backups.length} backups` +
+            ` (${counts.mismatch} mismatched, ${counts.error} errors, ${counts.skipped} skipped)`);
+
+        const reportFile = `output/verify-report-${buckets.join('_')}-${dayjs().format('YYYYMMDD-HHmmss')}.json`;
+        await fs.mkdir('output', { recursive: true });
+        await fs.writeFile(reportFile, JSON.stringify({ checkedAt: new Date().toISOString(), counts, failedBuckets, backups }, null, 2), 'utf8');
+        this.logger.info(`Verification report written to ${reportFile}`);
+
+        if (counts.mismatch > 0 || counts.error > 0 || failedBuckets.length > 0) {
+            this.exitCode = exitCodes.unhealthy;
+        }
+        return { counts, failedBuckets, reportFile };
+    }
+
+    async cleanup() {
+        if (this.exitCode !== exitCodes.success) {
+            process.exitCode = this.exitCode;
+        }
+    }
+}
+
+export default Verify;
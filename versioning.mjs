@@ -0,0 +1,168 @@
+import dayjs from 'dayjs';
+import { ListObjectVersionsCommand } from "@aws-sdk/client-s3";
+import { filterLockedObjects } from "./object-lock.mjs";
+import utility from "./utility.mjs";
+
+/**
+ * Pages of a version listing, reduced to what retention and version cleanup need: the current
+ * version of every live key, and for every key whose latest entry is a delete marker, that
+ * marker and the noncurrent versions behind it. S3 lists all versions of a key together, so a
+ * key is reduced as soon as the listing has moved past it and older versions of live keys are
+ * never held. Yields { objects, deletedKeys } with objects in the shape of a ListObjectsV2 listing.
+ */
+async function* iterateObjectVersionPages(s3Client, bucketName, prefix = '') {
+    const entriesByKey = new Map();
+    const entriesOf = key => {
+        if (!entriesByKey.has(key)) entriesByKey.set(key, { latest: null, isDeleted: false, noncurrent: [] });
+        return entriesByKey.get(key);
+    };
+    const reduce = keys => {
+        const page = { objects: [], deletedKeys: [] };
+        keys.forEach(key => {
+            const { latest, isDeleted, noncurrent } = entriesByKey.get(key);
+            entriesByKey.delete(key);
+            if (!latest) return;
+            if (isDeleted) {
+                page.deletedKeys.push({ key, marker: { versionId: latest.VersionId, lastModified: latest.LastModified }, noncurrent });
+            } else {
+                page.objects.push(utility.compactObject(latest));
+            }
+        });
+        return page;
+    };
+
+    let keyMarker;
+    let versionIdMarker;
+    do {
+        const response = await s3Client.send(new ListObjectVersionsCommand({
+            Bucket: bucketName,
+            Prefix: prefix,
+            KeyMarker: keyMarker,
+            VersionIdMarker: versionIdMarker
+        }));
+
+        (response.Versions || []).forEach(version => {
+            const entries = entriesOf(version.Key);
+            if (version.IsLatest) {
+                entries.latest = version;
+            } else {
+                entries.noncurrent.push({ key: version.Key, versionId: version.VersionId, size: version.Size });
+            }
+        });
+        (response.DeleteMarkers || []).filter(marker => marker.IsLatest).forEach(marker => {
+            const entries = entriesOf(marker.Key);
+            entries.latest = marker;
+            entries.isDeleted = true;
+        });
+
+        keyMarker = response.IsTruncated ? response.NextKeyMarker : undefined;
+        versionIdMarker = response.IsTruncated ? response.NextVersionIdMarker : undefined;
+        // Only the last key of a page can carry on into the next one
+        yield reduce([...entriesByKey.keys()].filter(key => key !== keyMarker));
+    } while (keyMarker);
+
+    const rest = reduce([...entriesByKey.keys()]);
+    if (rest.objects.length > 0 || rest.deletedKeys.length > 0) yield rest;
+}
+
+function sumSizes(items) {
+    return items.reduce((total, item) => total + (item.size || 0), 0);
+}
+
+/**
+ * Work out which noncurrent versions of deleted backups are past the grace period and
+ * which delete markers no longer hide anything. A backup counts as deleted when its
+ * latest entry is a delete marker; the grace period runs from that marker.
+ */
+function planVersionCleanup({ deletedKeys }, { noncurrentGraceDays = 30, isBackupKey = () => true, now = dayjs() } = {}) {
+    const purgeVersions = [];
+    const pendingVersions = [];
+    const orphanDeleteMarkers = [];
+    const markersAfterPurge = [];
+
+    deletedKeys
+        .filter(({ key }) => isBackupKey(key))
+        .forEach(({ key, marker, noncurrent }) => {
+            const markerVersion = { key, versionId: marker.versionId };
+
+            if (noncurrent.length === 0) {
+                orphanDeleteMarkers.push(markerVersion);
+            } else if (now.diff(dayjs(marker.lastModified), 'day', true) >= noncurrentGraceDays) {
+                purgeVersions.push(...noncurrent);
+                markersAfterPurge.push(markerVersion);
+            } else {
+                pendingVersions.push(...noncurrent);
+            }
+        });
+
+    return { purgeVersions, pendingVersions, orphanDeleteMarkers, markersAfterPurge };
+}
+
+/**
+ * Purge noncurrent versions of deleted backups and remove orphan delete markers.
+ * Markers are only removed once every version behind them is gone, otherwise
+ * removing the marker would bring an old version back as the current object.
+ * With objectLock.enabled, versions under retention or a legal hold are left out.
+ */
+async function cleanupObjectVersions(s3Client, bucketName, listing, options = {}) {
+    const { removeOrphanDeleteMarkers = true, dryRun = true, bypassGovernanceRetention = false, objectLock = {} } = options;
+    const plan = planVersionCleanup(listing, options);
+
+    // Deleting a specific version is what Object Lock refuses, unlike adding a delete marker
+    let lockedVersions = [];
+    if (objectLock.enabled && plan.purgeVersions.length > 0) {
+        const { deletable, locked } = await filterLockedObjects(s3Client, bucketName, plan.purgeVersions, {
+            bypassGovernanceRetention,
+            requeueFile: objectLock.requeueFile
+        });
+        const lockedKeys = new Set(locked.map(version => version.key));
+        plan.purgeVersions = deletable;
+        plan.markersAfterPurge = plan.markersAfterPurge.filter(marker => !lockedKeys.has(marker.key));
+        lockedVersions = locked;
+    }
+
+    const summary = {
+        purgeCandidates: plan.purgeVersions.length,
+        purgedVersions: 0,
+        pendingVersions: plan.pendingVersions.length,
+        pendingBytes: sumSizes(plan.pendingVersions),
+        orphanDeleteMarkers: plan.orphanDeleteMarkers.length,
+        removedDeleteMarkers: 0,
+        reclaimableBytes: sumSizes(plan.purgeVersions),
+        reclaimedBytes: 0,
+        lockedVersions: lockedVersions.length,
+        locked: lockedVersions.map(({ key, versionId, reason }) => ({ key, versionId, reason })),
+        failed: []
+    };
+
+    if (dryRun) {
+        return summary;
+    }
+
+    const purgeResult = await utility.deleteS3Objects(s3Client, bucketName, plan.purgeVersions, { bypassGovernanceRetention });
+    // Version IDs are only unique per key: versions written before versioning was enabled are all "null"
+    const versionKey = version => `${version.key}\0${version.versionId}`;
+    const purgedIds = new Set(purgeResult.successful.map(versionKey));
+    summary.purgedVersions = purgedIds.size;
+    summary.reclaimedBytes = sumSizes(plan.purgeVersions.filter(version => purgedIds.has(versionKey(version))));
+    summary.failed.push(...purgeResult.failed);
+
+    if (removeOrphanDeleteMarkers) {
+        const failedKeys = new Set(purgeResult.failed.map(failure => failure.key));
+        const markers = [
+            ...plan.orphanDeleteMarkers,
+            ...plan.markersAfterPurge.filter(marker => !failedKeys.has(marker.key))
+        ];
+        const markerResult = await utility.deleteS3Objects(s3Client, bucketName, markers);
+        summary.removedDeleteMarkers = markerResult.successful.length;
+        summary.failed.push(...markerResult.failed);
+    }
+
+    return summary;
+}
+
+export {
+    iterateObjectVersionPages,
+    planVersionCleanup,
+    cleanupObjectVersions
+};